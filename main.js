@@ -46,6 +46,7 @@
  *    - get
  *      Encoding: 01010?00 ???YYYYY ???XXXXX ????????
  *        Gets a variable from the environment. X should be a register holding an int, float, or pointer to a string; the environment variable with that key will be loaded as a float into register Y, or null if no variable exists.
+ *        If a marshalling type was set for the key with VM.setEnvironmentType, the variable is marshalled as that type instead (see Marshalling). This also applies to getp.
  *    - getp
  *      Encoding: 01010?01 ???YYYYY ???XXXXX ???ZZZZZ
  *        Gets a property on the external object in register Z and stores it as a float in register Y, or null if no variable exists. X should be a holding an int, float, or pointer to a string.
@@ -82,7 +83,9 @@
  *      Encoding: 0110S111 0??RRRRR AAAAAAAA AAAAAAAA
  *        Same as b.abs.r, but calls a subroutine. If R is an external object instead of an integer or pointer, it will call the external JS function associated with it.
  *        Calling external functions works differently depending on whether the function is an instance of VMEnvFunction or not. If it is, the function is called with the VM objects that are on the stack. If a regular JS function is being called instead, the first object on the stack must be an int holding the number of arguments to pop off the stack. After that object, that many objects are popped off the stack, and their values (or in the case of ptrs, strings) are passed to the function.
- *        The return value of the function is then pushed to the stack as an external object, or null if undefined.
+ *        The return value of the function is then pushed to the stack as an external object, or null if undefined. VMEnvFunctions can also return VM objects, which are pushed as is.
+ *        Functions declared with a signature (VMForeignFunction, made by the assembler's .extern name = path (types) -> type and fetched with the extern environment function) take an argument count like regular JS functions, but the count and argument types are checked against the signature, the result is pushed with the declared type, and nothing is pushed for void.
+ *        The parameter and return types are marshalling types (see Marshalling). A declaration without a parameter list, .extern name = path -> type, reads a property instead of calling a function, and takes no arguments.
  *    - bc.i
  *      Encoding: 0110?000 1??????? AAAAAAAA AAAAAAAA
  *        Same as b.i, but only branches if comparison result register is non-zero.
@@ -216,7 +219,16 @@
  *        Write the object in register Z to the ptr in register X with offset Y.
  *        If X doesn't point to the stack (i.e. points to int-only memory), Z must be an int, float, or ptr.
  *        Y must be an int or a ptr.
- *  11. reserved
+ *  11. trap
+ *    - trap.i
+ *      Encoding: 1011?000 ???CCCCC AAAAAAAA AAAAAAAA
+ *        Installs the subroutine at offset A in memory as the handler for fault code C. Unlike most immediates, A isn't sign-extended.
+ *    - trap.r
+ *      Encoding: 1011?001 ???CCCCC ???RRRRR ????????
+ *        Same as trap.i, but installs the handler at the address in register R. R must be an integer or a pointer.
+ *    - trap.clr
+ *      Encoding: 1011?010 ???CCCCC ???????? ????????
+ *        Removes the handler for fault code C.
  *  12. reserved
  *  13. reserved
  *  14. reserved
@@ -229,7 +241,7 @@
  *        Print register X to the console.
  *    - break
  *      Encoding: 11111??? ???????? ???????? ????????
- *        Same as dbg, but pause execution.
+ *        Same as dbg, but pause execution. The VM can be resumed afterwards, continuing from the next instruction.
  *
  * You may notice many basic things are missing, such as adding numbers, or writing to memory. This is because I'm lazy.
  * It *might* actually be Turing-complete in its current state, since the control flow is quite capable. I'm not sure.
@@ -238,13 +250,64 @@
  *  - Register 0 ($ZERO) contains an int object with value 0. It is read-only.
  *  - Register 1 ($COMP) is the comparison result register.
  *  - Register 2 ($PC) is the program counter. It is a read-only pointer.
- *  - Registers 24 ($P0) and 25 ($P1) are preserved registers. Their values are preserved across VM resets.
+ *  - Registers 24 ($P0) and 25 ($P1) are preserved registers. Their values are preserved across VM resets. Trap handlers get the fault's details in them (see Traps).
  *  - Register 26 ($IRSP) is the IRS pointer. The IRS is segregated from main memory.
  *  - Register 27 ($IPOP) is the IRS pop register. It is read-only, and has special behavior; when read from, it pops an object from the IRS and returns it.
  *  - Register 28 ($IPTR) is the IRS pointer pop register. It's the same as $IPOP, but returns a ptr.
  *  - Register 29 ($SP) is the stack pointer. The stack is segregated from main memory.
  *  - Register 30 ($PUSH) is the stack push register. When an object is written to it, it pushes that object onto the stack.
  *  - Register 31 ($POP) is the stack pop register. It is read-only, and has special behavior; when read from, it pops an object from the stack and returns it.
+ *
+ * Traps:
+ *  When an instruction faults, the VM looks for a handler for the fault code, falling back to the handler for code 31 (any fault).
+ *  If there is one, the handler is called as a subroutine as if the faulting instruction had been a call.i, so ret resumes at the next instruction.
+ *  On entry, $COMP holds the fault code as an int, $P0 a ptr to the faulting instruction and $P1 an ext holding the error message, replacing whatever they held before. The stack is left as it was.
+ *  A fault inside a handler, or a fault without a handler, stops the VM and is raised as a VMError.
+ *  Fault codes:
+ *    - 0: generic fault
+ *    - 1: invalid address
+ *    - 2: invalid instruction
+ *    - 3: invalid type
+ *    - 4: exception thrown by an external JS function
+ *    - 5: access denied by the sandbox
+ *
+ * Heap:
+ *  Main memory above the loaded program is managed as a heap. The environment has the VMEnvFunctions malloc(size), calloc(count, size), realloc(ptr, size) and free(ptr), where sizes are in words.
+ *  Allocations return a ptr into main memory, or null if there isn't enough free memory. calloc zeroes the memory, and realloc with a null ptr or size 0 acts like malloc or free.
+ *  Freeing a ptr twice, or a ptr that didn't come from the heap, is an invalid address fault.
+ *
+ * Marshalling:
+ *  External function signatures and VM.setEnvironmentType convert between JS values and VM objects with these types:
+ *    - int: a 32-bit integer. Booleans are 1 or 0, and other JS values are an invalid type fault.
+ *    - float: a number. Floats are 32-bit, so a whole number they can't hold exactly, like a timestamp in milliseconds, is an invalid type fault instead of being rounded.
+ *    - bool: an int that's 1 or 0. Passed to JS, any non-zero number is true, and null is false.
+ *    - ptr: an address in main memory, passed to JS as a number.
+ *    - str: a string, which is copied into the heap as UTF-8. Passed to JS, the string the ptr points to is read.
+ *    - ext: an external object.
+ *    - any: an external object, or passed to JS, the value of any object (or in the case of ptrs, the string).
+ *    - auto: picks the type from the JS value. Integers that fit in an int are ints, other numbers are floats, and strings, booleans and arrays use their own types. Anything else is an external object, and passed to JS, it's the same as any.
+ *    - int[], float[], bool[], str[]: an array or typed array, which is copied into the heap as its length followed by its elements. null strings are stored as 0.
+ *  null and undefined are null for every type except int, float and bool. Strings and arrays copied into the heap belong to the program, which can free them.
+ *
+ * Callbacks:
+ *  VM.makeCallback(target, params, result) turns the subroutine at a label or address into a JS function, which can be passed to things like addEventListener and setTimeout. The environment function callback(target, signature) does the same from VM code, with the signature written as (types) -> type.
+ *  Calling it runs the subroutine on the same VM right away, even if the program is stopped, paused or in the middle of an external call. The arguments are marshalled as the parameter types and pushed so that the first one is popped first, and if the last parameter takes any number of arguments, their count is pushed on top.
+ *  Unless the result type is void, the subroutine pushes its result before it returns. An exit instruction ends just the callback, with the exit value as its result. Breakpoints and break instructions are ignored inside callbacks, and each call has its own cycleLimit.
+ *  The registers, stack pointers and run state are put back afterwards, so the interrupted program carries on as if nothing happened. A fault inside a callback is thrown to whatever called it, and callbacks stop working once another program is loaded.
+ *
+ * Awaiting:
+ *  The environment functions await(promise, type) and awaitSettled(promise, type) wait for a promise held in an ext, where type is a ptr to a marshalling type for the result, or null for any.
+ *  The VM pauses with the reason "await", and run, continue and runAsync return the VMAwait instead of the exit value. runAsync waits for it by itself; otherwise, wait for its promise and call continue, which resumes with the marshalled result pushed.
+ *  If the promise is rejected, await faults with code 4 at the call, and a trap handler returns to the instruction after it. awaitSettled pushes the rejection reason instead, and sets $COMP to 1 if the promise was fulfilled or 0 if it was rejected.
+ *  Awaiting something that isn't a promise gives it back right away. Awaiting inside a callback is a fault, since a callback has to finish before it returns.
+ *
+ * Sandbox:
+ *  Setting vm.sandbox to a VMSandbox checks every environment read and write from get, getp, load, loadp and setp, every call through an ext, and every step of an external function's path.
+ *  Paths are the property names from the environment root joined with dots, with window as the global object, so window.document.title and document.title are the same. Calling something adds () to its path, as in document.getElementById().value, and a path that can't be traced is ?.
+ *  allow(pattern, ...permissions) and deny(pattern, ...permissions) add rules for read, write and call, or all three if none are given. * matches one name and ** any number of them.
+ *  A denial wins over any allow, and a pattern without wildcards also denies its value wherever it's reached from, so denying eval denies globalThis.eval too. setTimeout and setInterval can only be called with a function, since they'd run a string as code. Being able to call something means being able to read it, and everything on the way to an allowed path can be read, up to its first wildcard.
+ *  Anything without a rule is denied, unless defaultAllow is set. The VM's own environment functions are allowed from the start.
+ *  Every check is added to the sandbox's log as { action, path, allowed, pc }, which keeps the last logLimit entries. Anything denied faults with a VMSandboxError and code 5.
  */
 
 const DEBUG = false
@@ -256,10 +319,27 @@ function debug(...args) {
 }
 
 class VMError extends Error {
-	constructor(message, ...params) {
+	static CODE_FAULT       = 0
+	static CODE_ADDRESS     = 1
+	static CODE_INSTRUCTION = 2
+	static CODE_TYPE        = 3
+	static CODE_EXTERNAL    = 4
+	static CODE_ACCESS      = 5
+	static CODE_ANY         = 31
+	
+	constructor(message, code = VMError.CODE_FAULT, ...params) {
 		super(message, ...params)
 		
 		this.name = this.constructor.name
+		this.code = code
+		this.pc = undefined
+	}
+}
+
+// raised when the sandbox doesn't allow an environment access or external call
+class VMSandboxError extends VMError {
+	constructor(message, ...params) {
+		super(message, VMError.CODE_ACCESS, ...params)
 	}
 }
 
@@ -324,11 +404,11 @@ class VMObject {
 	}
 
 	getData(value) {
-		throw new VMError(`Tried to read internal data of non-int-representable object`)
+		throw new VMError(`Tried to read internal data of non-int-representable object`, VMError.CODE_TYPE)
 	}
 
 	setData(value) {
-		throw new VMError(`Tried to write internal data of non-int-representable object`)
+		throw new VMError(`Tried to write internal data of non-int-representable object`, VMError.CODE_TYPE)
 	}
 	
 	copy() {
@@ -341,7 +421,7 @@ class VMObject {
 		if (converter) {
 			return this[converter]()
 		} else {
-			throw new VMError(`Tried to convert object to unrecognized type ${VMObject.getTypeName(type)}`)
+			throw new VMError(`Tried to convert object to unrecognized type ${VMObject.getTypeName(type)}`, VMError.CODE_TYPE)
 		}
 	}
 
@@ -350,19 +430,19 @@ class VMObject {
 	}
 
 	convertInt() {
-		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to int`)
+		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to int`, VMError.CODE_TYPE)
 	}
 
 	convertFloat() {
-		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to float`)
+		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to float`, VMError.CODE_TYPE)
 	}
 
 	convertPtr() {
-		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to ptr`)
+		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to ptr`, VMError.CODE_TYPE)
 	}
 
 	convertExt() {
-		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to ext`)
+		throw new VMError(`Tried to convert object of type ${VMObject.getTypeName(this.type)} to ext`, VMError.CODE_TYPE)
 	}
 
 	reinterpret(type) {
@@ -390,7 +470,7 @@ class VMObject {
 			obj.setData(this.getData())
 			return obj
 		} else {
-			throw new VMError(`Tried to reinterpret object of type ${VMObject.getTypeName(this.type)} as type ${VMObject.getTypeName(type)}`)
+			throw new VMError(`Tried to reinterpret object of type ${VMObject.getTypeName(this.type)} as type ${VMObject.getTypeName(type)}`, VMError.CODE_TYPE)
 		}
 	}
 }
@@ -411,7 +491,6 @@ class VMNull extends VMObject {
 
 class VMInt extends VMObject {
 	type = VMObject.TYPE_INT
-	data = new DataView(new ArrayBuffer(4))
 
 	constructor(vm, value) {
 		super(vm)
@@ -420,19 +499,19 @@ class VMInt extends VMObject {
 	}
 
 	getValue() {
-		return this.data.getInt32(0)
+		return this.value
 	}
 
 	setValue(value) {
-		this.data.setInt32(0, value)
+		this.value = value | 0
 	}
 
 	getData() {
-		return this.data.getUint32(0)
+		return this.value >>> 0
 	}
 
 	setData(value) {
-		this.data.setUint32(0, value)
+		this.value = value | 0
 	}
 	
 	copy() {
@@ -453,8 +532,11 @@ class VMInt extends VMObject {
 }
 
 class VMFloat extends VMObject {
+	// shared scratch space for converting between floats and their bits
+	static VIEW = new DataView(new ArrayBuffer(4))
+	
 	type = VMObject.TYPE_FLOAT
-	data = new DataView(new ArrayBuffer(4))
+	bits = 0
 
 	constructor(vm, value) {
 		super(vm)
@@ -463,19 +545,21 @@ class VMFloat extends VMObject {
 	}
 
 	getValue() {
-		return this.data.getFloat32(0)
+		VMFloat.VIEW.setUint32(0, this.bits)
+		return VMFloat.VIEW.getFloat32(0)
 	}
 
 	setValue(value) {
-		this.data.setFloat32(0, value)
+		VMFloat.VIEW.setFloat32(0, value)
+		this.bits = VMFloat.VIEW.getUint32(0)
 	}
 
 	getData() {
-		return this.data.getUint32(0)
+		return this.bits
 	}
 
 	setData(value) {
-		this.data.setUint32(0, value)
+		this.bits = value >>> 0
 	}
 	
 	copy() {
@@ -493,7 +577,6 @@ class VMFloat extends VMObject {
 
 class VMPtr extends VMObject {
 	type = VMObject.TYPE_PTR
-	data = new DataView(new ArrayBuffer(4))
 
 	constructor(vm, memory, value) {
 		super(vm)
@@ -503,19 +586,19 @@ class VMPtr extends VMObject {
 	}
 
 	getValue() {
-		return this.data.getUint32(0)
+		return this.value
 	}
 
 	setValue(value) {
-		this.data.setUint32(0, value)
+		this.value = value >>> 0
 	}
 
 	getData() {
-		return this.data.getUint32(0)
+		return this.value
 	}
 
 	setData(value) {
-		this.data.setUint32(0, value)
+		this.value = value >>> 0
 	}
 	
 	copy() {
@@ -540,7 +623,7 @@ class VMPtr extends VMObject {
 	
 	readString(maxLength = Infinity) {
 		if (!(this.memory instanceof VMIntMemory)) {
-			throw new VMError(`Tried to read string from pointer to object memory`)
+			throw new VMError(`Tried to read string from pointer to object memory`, VMError.CODE_TYPE)
 		}
 		
 		let data = []
@@ -566,6 +649,9 @@ class VMPtr extends VMObject {
 
 class VMExt extends VMObject {
 	type = VMObject.TYPE_EXT
+	
+	// where in the environment the value came from, for the sandbox
+	path = null
 
 	constructor(vm, value) {
 		super(vm)
@@ -574,7 +660,9 @@ class VMExt extends VMObject {
 	}
 	
 	copy() {
-		return this.vm.create(VMExt, this.getValue())
+		let obj = this.vm.create(VMExt, this.getValue())
+		obj.path = this.path
+		return obj
 	}
 }
 
@@ -596,13 +684,13 @@ class VMRegisters {
 	static GETTER_TABLE = {
 		[VMRegisters.REG_ZERO]: null,
 		[VMRegisters.REG_COMP]: null,
-		[VMRegisters.REG_PC]:   null,
+		[VMRegisters.REG_PC]:   "getPc",
 		[VMRegisters.REG_P0]:   null,
 		[VMRegisters.REG_P1]:   null,
-		[VMRegisters.REG_IRSP]: null,
+		[VMRegisters.REG_IRSP]: "getIrsp",
 		[VMRegisters.REG_IPOP]: "getIpop",
 		[VMRegisters.REG_IPTR]: "getIptr",
-		[VMRegisters.REG_SP]:   null,
+		[VMRegisters.REG_SP]:   "getSp",
 		[VMRegisters.REG_PUSH]: null,
 		[VMRegisters.REG_POP]:  "getPop"
 	}
@@ -635,7 +723,15 @@ class VMRegisters {
 		"POP":  VMRegisters.REG_POP
 	}
 	
+	// these are kept as plain numbers, and only turned into pointer objects when something reads them
+	static POINTER_REGISTERS = {
+		[VMRegisters.REG_PC]:   "memory",
+		[VMRegisters.REG_IRSP]: "irs",
+		[VMRegisters.REG_SP]:   "stack"
+	}
+	
 	registers = Object.seal(new Array(VMRegisters.NUM_REGISTERS).fill(0))
+	pointers = new Uint32Array(VMRegisters.NUM_REGISTERS)
 
 	constructor(vm) {
 		this.vm = vm
@@ -653,9 +749,48 @@ class VMRegisters {
 		}
 		
 		this.registers[VMRegisters.REG_ZERO] = this.vm.create(VMInt, 0)
-		this.registers[VMRegisters.REG_PC] = this.vm.create(VMPtr, this.vm.memory, 0)
-		this.registers[VMRegisters.REG_IRSP] = this.vm.create(VMPtr, this.vm.irs, 0)
-		this.registers[VMRegisters.REG_SP] = this.vm.create(VMPtr, this.vm.stack, 0)
+		this.setPointer(VMRegisters.REG_PC, 0)
+		this.setPointer(VMRegisters.REG_IRSP, 0)
+		this.setPointer(VMRegisters.REG_SP, 0)
+	}
+	
+	// copies of every register, for putting them back after a callback
+	save() {
+		return { registers: this.registers.slice(), pointers: this.pointers.slice() }
+	}
+	
+	restore(saved) {
+		for (let i = 0; i < this.registers.length; i++) {
+			this.registers[i] = saved.registers[i]
+		}
+		
+		this.pointers.set(saved.pointers)
+	}
+	
+	getPointer(num) {
+		return this.pointers[num]
+	}
+	
+	setPointer(num, value) {
+		this.pointers[num] = value
+		this.registers[num] = null
+	}
+	
+	getPointerObject(num) {
+		return this.registers[num] ??= this.vm.create(VMPtr, this.vm[VMRegisters.POINTER_REGISTERS[num]], this.pointers[num])
+	}
+	
+	// reads and writes a register without any of the special behavior, for inspecting VM state
+	peek(num) {
+		return num in VMRegisters.POINTER_REGISTERS ? this.getPointerObject(num) : this.registers[num]
+	}
+	
+	poke(num, obj) {
+		this.registers[num] = obj
+		
+		if (num in VMRegisters.POINTER_REGISTERS) {
+			this.pointers[num] = obj.getValue()
+		}
 	}
 	
 	get(num) {
@@ -678,7 +813,7 @@ class VMRegisters {
 		}
 
 		if (!(obj instanceof VMObject)) {
-			throw new VMError(`Tried to write an invalid object to register $${num}`)
+			throw new VMError(`Tried to write an invalid object to register $${num}`, VMError.CODE_TYPE)
 		}
 
 		let setter = VMRegisters.SETTER_TABLE[num]
@@ -694,20 +829,28 @@ class VMRegisters {
 		// no-op
 	}
 	
+	getPc() {
+		return this.getPointerObject(VMRegisters.REG_PC)
+	}
+	
 	setPc(obj) {
 		if (obj.type != VMObject.TYPE_PTR) {
-			throw new VMError(`Tried to write a non-pointer to $PC`)
+			throw new VMError(`Tried to write a non-pointer to $PC`, VMError.CODE_TYPE)
 		}
 
-		this.registers[VMRegisters.REG_PC] = obj
+		this.poke(VMRegisters.REG_PC, obj)
+	}
+	
+	getIrsp() {
+		return this.getPointerObject(VMRegisters.REG_IRSP)
 	}
 	
 	setIrsp(obj) {
 		if (obj.type != VMObject.TYPE_PTR) {
-			throw new VMError(`Tried to write a non-pointer to $IRSP`)
+			throw new VMError(`Tried to write a non-pointer to $IRSP`, VMError.CODE_TYPE)
 		}
 
-		this.registers[VMRegisters.REG_IRSP] = obj
+		this.poke(VMRegisters.REG_IRSP, obj)
 	}
 
 	getIpop() {
@@ -726,12 +869,16 @@ class VMRegisters {
 		throw new VMError(`Tried to write to $IPTR`)
 	}
 	
+	getSp() {
+		return this.getPointerObject(VMRegisters.REG_SP)
+	}
+	
 	setSp(obj) {
 		if (obj.type != VMObject.TYPE_PTR) {
-			throw new VMError(`Tried to write a non-pointer to $SP`)
+			throw new VMError(`Tried to write a non-pointer to $SP`, VMError.CODE_TYPE)
 		}
 
-		this.registers[VMRegisters.REG_SP] = obj
+		this.poke(VMRegisters.REG_SP, obj)
 	}
 	
 	setPush(obj) {
@@ -749,65 +896,239 @@ class VMRegisters {
 }
 
 class VMIntMemory {
+	static PAGE_SHIFT = 12
+	static PAGE_SIZE = 1 << VMIntMemory.PAGE_SHIFT
+	static PAGE_MASK = VMIntMemory.PAGE_SIZE - 1
+	
+	static encodeWords(words) {
+		let view = new DataView(new ArrayBuffer(words.length * 4))
+		let str = ""
+		
+		for (let i = 0; i < words.length; i++) {
+			view.setInt32(i * 4, words[i])
+		}
+		
+		for (let i = 0; i < view.byteLength; i++) {
+			str += String.fromCharCode(view.getUint8(i))
+		}
+		
+		return btoa(str)
+	}
+	
+	static decodeWords(base64) {
+		let str = atob(base64)
+		let view = new DataView(new ArrayBuffer(str.length))
+		let words = new Int32Array(str.length / 4)
+		
+		for (let i = 0; i < str.length; i++) {
+			view.setUint8(i, str.charCodeAt(i))
+		}
+		
+		for (let i = 0; i < words.length; i++) {
+			words[i] = view.getInt32(i * 4)
+		}
+		
+		return words
+	}
+	
 	constructor(vm, size) {
 		this.vm = vm
 		this.size = size
-		this.data = new Int32Array(size)
+		
+		// pages are only allocated once something non-zero is written to them
+		this.pages = new Array(Math.ceil(size / VMIntMemory.PAGE_SIZE)).fill(null)
+		this.dirty = new Set()
+		
+		this.onWrite = null
+		this.onClear = null
+	}
+	
+	allocatePage(index) {
+		let page = new Int32Array(Math.min(VMIntMemory.PAGE_SIZE, this.size - index * VMIntMemory.PAGE_SIZE))
+		
+		this.pages[index] = page
+		this.dirty.add(index)
+		
+		return page
 	}
 
 	read(addr) {
 		if (addr < 0 || addr >= this.size) {
-			throw new VMError(`Tried to read invalid address ${addr} of int memory region`)
+			throw new VMError(`Tried to read invalid address ${addr} of int memory region`, VMError.CODE_ADDRESS)
 		}
-
-		return this.data[addr]
+		
+		let page = this.pages[addr >>> VMIntMemory.PAGE_SHIFT]
+		return page ? page[addr & VMIntMemory.PAGE_MASK] : 0
 	}
 
 	write(addr, num) {
 		if (addr < 0 || addr >= this.size) {
-			throw new VMError(`Tried to write invalid address ${addr} of int memory region`)
+			throw new VMError(`Tried to write invalid address ${addr} of int memory region`, VMError.CODE_ADDRESS)
+		}
+		
+		this.onWrite?.(addr)
+		
+		let index = addr >>> VMIntMemory.PAGE_SHIFT
+		let page = this.pages[index]
+		
+		if (!page) {
+			if (num == 0) {
+				return
+			}
+			
+			page = this.allocatePage(index)
 		}
 		
-		this.data[addr] = num
+		page[addr & VMIntMemory.PAGE_MASK] = num
 	}
 
 	clear() {
-		this.data.fill(0)
+		for (let index of this.dirty) {
+			this.pages[index] = null
+		}
+		
+		this.dirty.clear()
+		this.onClear?.()
+	}
+	
+	slice(start, end) {
+		let words = []
+		
+		for (let addr = start; addr < end; addr++) {
+			words.push(this.read(addr))
+		}
+		
+		return words
+	}
+	
+	serialize() {
+		let pages = []
+		
+		for (let index of [...this.dirty].sort((a, b) => a - b)) {
+			let page = this.pages[index]
+			
+			for (let i = 0; i < page.length; i++) {
+				if (page[i] != 0) {
+					pages.push({ addr: index * VMIntMemory.PAGE_SIZE, data: VMIntMemory.encodeWords(page) })
+					break
+				}
+			}
+		}
+		
+		return { size: this.size, pages }
+	}
+	
+	deserialize(region) {
+		if (region.size != this.size) {
+			throw new VMError(`Tried to restore int memory region of size ${region.size} into region of size ${this.size}`)
+		}
+		
+		this.clear()
+		
+		for (let i = 0; i < region.pages.length; i++) {
+			let page = region.pages[i]
+			let words = VMIntMemory.decodeWords(page.data)
+			
+			for (let j = 0; j < words.length; j++) {
+				this.write(page.addr + j, words[j])
+			}
+		}
 	}
 }
 
 class VMObjectMemory {
+	static PAGE_SHIFT = 10
+	static PAGE_SIZE = 1 << VMObjectMemory.PAGE_SHIFT
+	static PAGE_MASK = VMObjectMemory.PAGE_SIZE - 1
+	
 	constructor(vm, size) {
 		this.vm = vm
 		this.size = size
-		this.data = Object.seal(new Array(size).fill(0))
-
-		this.clear()
+		
+		this.pages = new Array(Math.ceil(size / VMObjectMemory.PAGE_SIZE)).fill(null)
+		this.dirty = new Set()
+	}
+	
+	allocatePage(index) {
+		let page = new Array(Math.min(VMObjectMemory.PAGE_SIZE, this.size - index * VMObjectMemory.PAGE_SIZE)).fill(null)
+		
+		this.pages[index] = page
+		this.dirty.add(index)
+		
+		return page
 	}
 
 	read(addr) {
 		if (addr < 0 || addr >= this.size) {
-			throw new VMError(`Tried to read invalid address ${addr} of object memory region`)
+			throw new VMError(`Tried to read invalid address ${addr} of object memory region`, VMError.CODE_ADDRESS)
 		}
-
-		return this.data[addr]
+		
+		let index = addr >>> VMObjectMemory.PAGE_SHIFT
+		let page = this.pages[index] ?? this.allocatePage(index)
+		
+		// every slot holds its own null object until written to, same as if they had all been created up front
+		return page[addr & VMObjectMemory.PAGE_MASK] ??= this.vm.create(VMNull)
 	}
 
 	write(addr, obj) {
 		if (addr < 0 || addr >= this.size) {
-			throw new VMError(`Tried to write invalid address ${addr} of object memory region`)
+			throw new VMError(`Tried to write invalid address ${addr} of object memory region`, VMError.CODE_ADDRESS)
 		}
 
 		if (!(obj instanceof VMObject)) {
-			throw new VMError(`Tried to write an invalid object to address ${addr} of object memory region`)
+			throw new VMError(`Tried to write an invalid object to address ${addr} of object memory region`, VMError.CODE_TYPE)
 		}
+		
+		let index = addr >>> VMObjectMemory.PAGE_SHIFT
+		let page = this.pages[index] ?? this.allocatePage(index)
 
-		this.data[addr] = obj
+		page[addr & VMObjectMemory.PAGE_MASK] = obj
 	}
 
 	clear() {
-		for (let i = 0; i < this.data.length; i++) {
-			this.data[i] = this.vm.create(VMNull)
+		for (let index of this.dirty) {
+			this.pages[index] = null
+		}
+		
+		this.dirty.clear()
+	}
+	
+	slice(start, end) {
+		let objs = []
+		
+		for (let addr = start; addr < end; addr++) {
+			objs.push(this.read(addr))
+		}
+		
+		return objs
+	}
+	
+	serialize(ref) {
+		let entries = []
+		
+		for (let index of [...this.dirty].sort((a, b) => a - b)) {
+			let page = this.pages[index]
+			
+			for (let i = 0; i < page.length; i++) {
+				if (page[i] && page[i].type != VMObject.TYPE_NULL) {
+					entries.push([index * VMObjectMemory.PAGE_SIZE + i, ref(page[i])])
+				}
+			}
+		}
+		
+		return { size: this.size, entries }
+	}
+	
+	deserialize(region, deref) {
+		if (region.size != this.size) {
+			throw new VMError(`Tried to restore object memory region of size ${region.size} into region of size ${this.size}`)
+		}
+		
+		this.clear()
+		
+		for (let i = 0; i < region.entries.length; i++) {
+			let [addr, id] = region.entries[i]
+			this.write(addr, deref(id))
 		}
 	}
 }
@@ -823,1206 +1144,6031 @@ class VMEnvFunction {
 	}
 }
 
-class VM {
-	static MAIN_MEMORY_SIZE = 0x1000000
-	static STACK_SIZE = 0x10000
-	static CALL_STACK_SIZE = 0x10000
-	static IRS_SIZE = 0x10000
-	
-	static INSTR_CLASS_NOP  = 0b0000
-	static INSTR_CLASS_EXIT = 0b0001
-	static INSTR_CLASS_PUSH = 0b0010
-	static INSTR_CLASS_POP  = 0b0011
-	static INSTR_CLASS_RET  = 0b0100
-	static INSTR_CLASS_ENV  = 0b0101
-	static INSTR_CLASS_B    = 0b0110
-	static INSTR_CLASS_CMP  = 0b0111
-	static INSTR_CLASS_CVT  = 0b1000
-	static INSTR_CLASS_NUM  = 0b1001
-	static INSTR_CLASS_MEM  = 0b1010
-	static INSTR_CLASS_SYS  = 0b1111
-
-	static INSTR_CLASS_EXECS = {
-		[VM.INSTR_CLASS_NOP]:  "execNop",
-		[VM.INSTR_CLASS_EXIT]: "execExit",
-		[VM.INSTR_CLASS_PUSH]: "execPush",
-		[VM.INSTR_CLASS_POP]:  "execPop",
-		[VM.INSTR_CLASS_RET]:  "execRet",
-		[VM.INSTR_CLASS_ENV]:  "execEnv",
-		[VM.INSTR_CLASS_B]:    "execB",
-		[VM.INSTR_CLASS_CMP]:  "execCmp",
-		[VM.INSTR_CLASS_CVT]:  "execCvt",
-		[VM.INSTR_CLASS_NUM]:  "execNum",
-		[VM.INSTR_CLASS_MEM]:  "execMem",
-		[VM.INSTR_CLASS_SYS]:  "execSys",
-	}
+// converts between JS values and VM objects by type name, for external calls and environment lookups
+// strings and arrays are copied into the heap, and belong to the VM program, which can free them
+// an array in memory is a ptr to its length, followed by its elements
+class VMMarshal {
+	static ELEMENT_TYPES = ["int", "float", "bool", "str"]
+	static TYPES = ["auto", "int", "float", "bool", "ptr", "str", "ext", "any", ...VMMarshal.ELEMENT_TYPES.map((type) => `${type}[]`)]
 	
-	encodeStringUtf8(str) {
-		let data = new Uint8Array(str.length * 3 + 1)
-		let { written } = this.textEncoder.encodeInto(str, data)
+	// the type auto marshals a JS value as
+	static detect(value) {
+		switch (typeof value) {
+			case "boolean":
+				return "bool"
+			
+			case "number":
+				return value === (value | 0) ? "int" : "float"
+			
+			case "string":
+				return "str"
+		}
 		
-		let view = new DataView(data.buffer)
-		let arr = new Uint32Array(Math.ceil((written + 1) / 4))
+		if (value instanceof Float32Array || value instanceof Float64Array) {
+			return "float[]"
+		}
 		
-		for (let i = 0; i < arr.length; i++) {
-			arr[i] = view.getUint32(i * 4)
+		if (ArrayBuffer.isView(value) && !(value instanceof DataView || value instanceof BigInt64Array || value instanceof BigUint64Array)) {
+			return "int[]"
 		}
 		
-		return arr
+		if (Array.isArray(value)) {
+			let types = new Set(value.map((element) => VMMarshal.detect(element)))
+			
+			if (types.size == 2 && types.has("int") && types.has("float")) {
+				return "float[]"
+			}
+			
+			if (types.size <= 1) {
+				let [type = "int"] = types
+				
+				if (VMMarshal.ELEMENT_TYPES.includes(type)) {
+					return `${type}[]`
+				}
+			}
+		}
+		
+		return "ext"
 	}
 	
-	decodeStringUtf8(arr, maxLength) {
-		let len = Math.min(arr.length, maxLength)
-		let data = []
+	// the VM object for a JS value, or undefined for void
+	static toVM(vm, value, type, what = "Value") {
+		if (type == "auto") {
+			type = VMMarshal.detect(value)
+		}
 		
-		for (let i = 0; i < len; i++) {
-			let val = arr[i]
+		if (type == "void") {
+			return undefined
+		}
+		
+		if (type.endsWith("[]")) {
+			return VMMarshal.arrayToVM(vm, value, type.slice(0, -2), what)
+		}
+		
+		switch (type) {
+			case "int":
+				if (typeof value == "boolean") {
+					value = +value
+				}
+				
+				if (!Number.isInteger(value) || value < -(2 ** 31) || value >= 2 ** 32) {
+					throw new VMError(`${what} should be an int, but was ${value}`, VMError.CODE_TYPE)
+				}
+				
+				return vm.create(VMInt, value)
 			
-			if (val == 0) {
-				break
-			} else {
-				data.push(val)
-			}
+			case "float":
+				if (typeof value != "number") {
+					throw new VMError(`${what} should be a float, but was ${value}`, VMError.CODE_TYPE)
+				}
+				
+				// rounding a fraction is what floats are for, but a whole number coming out different is a bug
+				if (Number.isInteger(value) && Math.fround(value) != value) {
+					throw new VMError(`${what} is ${value}, which a 32-bit float can't hold exactly`, VMError.CODE_TYPE)
+				}
+				
+				return vm.create(VMFloat, value)
+			
+			case "bool":
+				return vm.create(VMInt, value ? 1 : 0)
 		}
 		
-		return this.textDecoder.decode(new Uint8Array(data))
+		if (value == null) {
+			return vm.create(VMNull)
+		}
+		
+		switch (type) {
+			case "ptr":
+				if (!Number.isInteger(value) || value < 0 || value >= vm.memory.size) {
+					throw new VMError(`${what} should be an address in memory, but was ${value}`, VMError.CODE_TYPE)
+				}
+				
+				return vm.create(VMPtr, vm.memory, value)
+			
+			case "str":
+				return VMMarshal.copyToHeap(vm, vm.encodeStringUtf8(String(value)), what)
+			
+			default:
+				return vm.create(VMExt, value)
+		}
 	}
-
-	constructor() {
-		this.textEncoder = new TextEncoder()
-		this.textDecoder = new TextDecoder("utf-8", { fatal: true })
-
-		this.stopped = false
-		this.branching = false
-		this.exitValue = undefined
-
-		this.registers = new VMRegisters(this)
+	
+	// the JS value for a VM object
+	static fromVM(obj, type, what = "Value") {
+		if (type.endsWith("[]")) {
+			return VMMarshal.arrayFromVM(obj, type.slice(0, -2), what)
+		}
 		
-		this.memory = new VMIntMemory(this, VM.MAIN_MEMORY_SIZE)
-		this.stack = new VMObjectMemory(this, VM.STACK_SIZE)
-		this.callStack = new VMIntMemory(this, VM.CALL_STACK_SIZE)
-		this.irs = new VMIntMemory(this, VM.IRS_SIZE)
+		let matches
 		
-		this.csp = this.create(VMPtr, this.callStack, 0)
+		switch (type) {
+			case "int":   matches = obj.type == VMObject.TYPE_INT; break
+			case "float": matches = VMObject.isTypeNumeric(obj.type); break
+			case "bool":  matches = VMObject.isTypeNumeric(obj.type) || obj.type == VMObject.TYPE_NULL; break
+			case "ptr":
+			case "str":   matches = obj.type == VMObject.TYPE_PTR; break
+			case "ext":   matches = obj.type == VMObject.TYPE_EXT || obj.type == VMObject.TYPE_NULL; break
+			default:      matches = true
+		}
 		
-		this.env = {}
-
-		this.reset()
-	}
-
-	reset() {
-		this.cycles = 0
-		this.stopped = false
-		this.branching = false
-		this.exitValue = undefined
-
-		this.registers.reset()
-
-		this.memory.clear()
-		this.stack.clear()
-		this.callStack.clear()
-		this.irs.clear()
+		if (!matches) {
+			throw new VMError(`${what} should be ${type}, got type ${VMObject.getTypeName(obj.type)}`, VMError.CODE_TYPE)
+		}
 		
-		this.csp.setValue(0)
+		switch (type) {
+			case "bool":
+				return obj.type != VMObject.TYPE_NULL && obj.getValue() != 0
+			
+			case "str":
+				return obj.readString()
+			
+			case "ptr":
+			case "ext":
+				return obj.getValue()
+			
+			default:
+				return obj.getValueOrString()
+		}
 	}
-
-	create(cons, ...args) {
-		return new cons(this, ...args)
-	}
-
-	readMemory(addr, type) {
-		return this.create(VMInt, this.memory.read(addr)).reinterpret(type)
-	}
-
-	writeMemory(addr, obj) {
-		if (!VMObject.isTypeNumericOrPtr(obj.type)) {
-			throw new VMError(`Tried to write object of type ${VMObject.getTypeName(obj.type)} to memory`)
+	
+	static arrayToVM(vm, value, type, what) {
+		if (value == null) {
+			return vm.create(VMNull)
 		}
-
-		this.memory.write(addr, obj.getData())
+		
+		if (!Array.isArray(value) && !(ArrayBuffer.isView(value) && !(value instanceof DataView))) {
+			throw new VMError(`${what} should be an array, but was ${value}`, VMError.CODE_TYPE)
+		}
+		
+		let words = [value.length]
+		
+		for (let element of value) {
+			let obj = VMMarshal.toVM(vm, typeof element == "bigint" ? Number(element) : element, type, what)
+			words.push(obj.type == VMObject.TYPE_NULL ? 0 : obj.getData())
+		}
+		
+		return VMMarshal.copyToHeap(vm, words, what)
 	}
 	
-	getEnvironment(key, base) {
-		let root = base ?? this.env
-		return key in root ? root[key] : null
+	static arrayFromVM(obj, type, what) {
+		if (obj.type != VMObject.TYPE_PTR || !(obj.memory instanceof VMIntMemory)) {
+			throw new VMError(`${what} should be a ptr to ${type}[] in main memory, got type ${VMObject.getTypeName(obj.type)}`, VMError.CODE_TYPE)
+		}
+		
+		let elementType = type == "float" ? VMObject.TYPE_FLOAT : type == "str" ? VMObject.TYPE_PTR : VMObject.TYPE_INT
+		let length = obj.read(0)
+		let arr = []
+		
+		for (let i = 0; i < length; i++) {
+			let data = obj.read(i + 1)
+			
+			// null strings are stored as 0
+			if (type == "str" && data == 0) {
+				arr.push(null)
+			} else {
+				arr.push(VMMarshal.fromVM(obj.vm.create(VMInt, data).reinterpret(elementType), type, what))
+			}
+		}
+		
+		return arr
 	}
 	
-	setEnvironment(key, value, base) {
-		let root = base ?? this.env
-		root[key] = value
+	static copyToHeap(vm, words, what) {
+		let ptr = vm.malloc(words.length)
+		
+		if (ptr.type != VMObject.TYPE_PTR) {
+			throw new VMError(`${what} doesn't fit in the heap`)
+		}
+		
+		for (let i = 0; i < words.length; i++) {
+			vm.memory.write(ptr.getValue() + i, words[i])
+		}
+		
+		return ptr
 	}
+}
 
-	stackPush(obj) {
-		let sp = this.registers.get(VMRegisters.REG_SP)
-		sp.write(0, obj)
-		this.registers.set(VMRegisters.REG_SP, this.create(VMPtr, this.stack, sp.getValue() + 1))
+// a JS function declared with a signature, which is what .extern name = path (types) -> type in the assembler makes
+// it's called like other JS functions, with the argument count on top of the stack, but the count and the types are checked against the signature
+// the path is looked up through the environment on every call, and the function is called on the object it was found on
+// without a parameter list it declares a property instead, and calling it reads the property as the declared type
+class VMForeignFunction {
+	// a parameter type can end with ... on the last parameter, to take any number of arguments of that type
+	static PARAM_TYPES = VMMarshal.TYPES
+	static RESULT_TYPES = [...VMMarshal.TYPES, "void"]
+	
+	static ENV_FUNCTIONS = {
+		extern: new VMEnvFunction(1, (vm, signature) => {
+			if (signature.type != VMObject.TYPE_PTR) {
+				throw new VMError(`Expected a ptr to the signature of an external function, got type ${VMObject.getTypeName(signature.type)}`, VMError.CODE_TYPE)
+			}
+			
+			return vm.create(VMExt, vm.getForeignFunction(signature.readString()))
+		}),
+		
+		// callback(target, signature) turns the subroutine at target into a JS function, where the signature is written (types) -> type
+		callback: new VMEnvFunction(2, (vm, target, signature) => {
+			if (target.type != VMObject.TYPE_INT && target.type != VMObject.TYPE_PTR) {
+				throw new VMError(`Expected an int or ptr to the subroutine of a callback, got type ${VMObject.getTypeName(target.type)}`, VMError.CODE_TYPE)
+			}
+			
+			if (signature.type != VMObject.TYPE_PTR) {
+				throw new VMError(`Expected a ptr to the signature of a callback, got type ${VMObject.getTypeName(signature.type)}`, VMError.CODE_TYPE)
+			}
+			
+			let str = signature.readString()
+			let match = str.match(/^\s*\(([^)]*)\)\s*->\s*(\S+)\s*$/)
+			
+			if (!match) {
+				throw new VMError(`Invalid callback signature "${str}"`)
+			}
+			
+			let params = match[1].trim() ? match[1].split(",").map((param) => param.trim()) : []
+			return vm.create(VMExt, vm.makeCallback(target.getValue(), params, match[2]))
+		})
 	}
-
-	stackPop() {
-		let sp = this.create(VMPtr, this.stack, this.registers.get(VMRegisters.REG_SP).getValue() - 1)
-		this.registers.set(VMRegisters.REG_SP, sp)
-		return sp.read(0)
+	
+	static format(path, params, result) {
+		return params ? `${path} (${params.join(", ")}) -> ${result}` : `${path} -> ${result}`
 	}
-
-	callStackPush() {
-		this.csp.write(0, this.registers.get(VMRegisters.REG_PC).getValue() + 1)
-		this.csp.setValue(this.csp.getValue() + 1)
+	
+	// returns what's wrong with a signature, or null if nothing is
+	// a path starting with this is a method, looked up on the first argument
+	static check(path, params, result) {
+		if (!/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(path) || path == "this") {
+			return `Invalid path "${path}"`
+		}
+		
+		if (!params) {
+			if (path.startsWith("this.")) {
+				return `A property can't be looked up on this`
+			}
+			
+			return result == "void" ? `A property can't have type void` : VMForeignFunction.RESULT_TYPES.includes(result) ? null : `Unknown type "${result}", expected one of ${VMMarshal.TYPES.join(", ")}`
+		}
+		
+		for (let i = 0; i < params.length; i++) {
+			let type = params[i].replace(/\.\.\.$/, "")
+			
+			if (!VMForeignFunction.PARAM_TYPES.includes(type)) {
+				return `Unknown parameter type "${params[i]}", expected one of ${VMForeignFunction.PARAM_TYPES.join(", ")}`
+			}
+			
+			if (type != params[i] && i != params.length - 1) {
+				return `Only the last parameter can take any number of arguments`
+			}
+		}
+		
+		if (!VMForeignFunction.RESULT_TYPES.includes(result)) {
+			return `Unknown return type "${result}", expected one of ${VMForeignFunction.RESULT_TYPES.join(", ")}`
+		}
+		
+		if (path.startsWith("this.") && params[0] != "ext") {
+			return `The first parameter of a method has to be the ext it's called on`
+		}
+		
+		return null
 	}
-
-	callStackPop() {
-		this.csp.setValue(this.csp.getValue() - 1)
-		this.registers.set(VMRegisters.REG_PC, this.create(VMPtr, this.memory, this.csp.read(0)))
+	
+	static parse(signature) {
+		let match = signature.match(/^\s*([^\s(]+)\s*(?:\(([^)]*)\))?\s*->\s*(\S+)\s*$/)
+		
+		if (!match) {
+			throw new VMError(`Invalid external function signature "${signature}"`)
+		}
+		
+		let [_, path, params, result] = match
+		params = params == undefined ? null : params.trim() ? params.split(",").map((param) => param.trim()) : []
+		
+		let error = VMForeignFunction.check(path, params, result)
+		
+		if (error) {
+			throw new VMError(`${error} in external function signature "${signature}"`)
+		}
+		
+		return new VMForeignFunction(path, params, result)
 	}
-
-	irsPush(num) {
-		let irsp = this.registers.get(VMRegisters.REG_IRSP)
-		irsp.write(0, num)
-		this.registers.set(VMRegisters.REG_IRSP, this.create(VMPtr, this.irs, irsp.getValue() + 1))
+	
+	constructor(path, params, result) {
+		this.path = path
+		this.params = params
+		this.result = result
+		
+		this.variadic = params != null && params.length > 0 && params[params.length - 1].endsWith("...")
 	}
-
-	irsPop() {
-		let irsp = this.create(VMPtr, this.irs, this.registers.get(VMRegisters.REG_IRSP).getValue() - 1)
-		this.registers.set(VMRegisters.REG_IRSP, irsp)
-		return irsp.read(0)
+	
+	getParamType(index) {
+		return this.params[Math.min(index, this.params.length - 1)].replace(/\.\.\.$/, "")
 	}
 	
-	loadProgram(buf) {
-		this.reset()
+	checkArity(count) {
+		let fixed = !this.params ? 0 : this.variadic ? this.params.length - 1 : this.params.length
 		
-		for (let i = 0; i < buf.length; i++) {
-			this.memory.write(i, buf[i])
+		if (!this.params && count > 0) {
+			throw new VMError(`External property ${this.path} can't be called with arguments`)
+		}
+		
+		if (count < fixed || !this.variadic && count > fixed) {
+			throw new VMError(`External function ${this.path} takes ${fixed}${this.variadic ? " or more" : ""} arguments, but was called with ${count}`)
 		}
 	}
 	
-	run() {
-		while (!this.stopped) {
-			this.step()
-		}
-		
-		return this.exitValue
+	// the JS value passed for a VM object
+	unmarshal(obj, index) {
+		return VMMarshal.fromVM(obj, this.getParamType(index), `Argument ${index + 1} of external function ${this.path}`)
 	}
 	
-	step() {
-		if (!this.stopped) {
-			let pc = this.registers.get(VMRegisters.REG_PC)
-
-			let instr = pc.read(0)
-			this.executeInstruction(instr)
-
-			if (!this.branching) {
-				this.registers.set(VMRegisters.REG_PC, this.create(VMPtr, this.memory, pc.getValue() + 1))
+	// the VM object pushed for a JS value, or undefined for void so that nothing is pushed
+	marshal(vm, value) {
+		return VMMarshal.toVM(vm, value, this.result, `${this.params ? "Return value of external function" : "External property"} ${this.path}`)
+	}
+	
+	// names that aren't in the environment itself are looked up on the global object, which is the environment variable ""
+	call(vm, ...objects) {
+		let args = objects.map((obj, i) => this.unmarshal(obj, i))
+		let names = this.path.split(".")
+		let value
+		let path = null
+		
+		if (names[0] == "this") {
+			names.shift()
+			value = args.shift()
+			path = objects[0].path ?? "?"
+		} else {
+			value = vm.getEnvironment(names[0]) == null ? vm.getEnvironment("") : vm.env
+		}
+		
+		let receiver = null
+		
+		// each step is checked by the sandbox like a loadp would be
+		for (let name of names) {
+			if (value == null || typeof value != "object" && typeof value != "function") {
+				value = null
+				break
 			}
 			
-			this.branching = false
+			receiver = value
+			path = vm.getEnvironmentPath(name, receiver, path)
+			value = vm.getEnvironment(name, receiver, path)
 		}
 		
-		return this.exitValue
+		let result
+		
+		if (!this.params) {
+			result = this.marshal(vm, value)
+		} else {
+			if (typeof value != "function") {
+				throw new VMError(`External function ${this.path} is ${value == null ? "not defined" : "not a function"}`, VMError.CODE_TYPE)
+			}
+			
+			vm.sandbox?.check("call", path, value, args)
+			
+			result = this.marshal(vm, value.apply(receiver, args))
+			path += "()"
+		}
+		
+		if (result instanceof VMExt) {
+			result.path = path
+		}
+		
+		return result
 	}
+}
 
-	executeInstruction(instr) {
-		debug(`CursedVM: Executing instruction ${(instr >>> 0).toString(16)} (PC ${this.registers.get(VMRegisters.REG_PC).getValue().toString(16).padStart(8, "0")})`)
+// a promise the VM is suspended on, made by the await and awaitSettled environment functions
+// the promise of a VMAwait resolves once the awaited one has settled, whichever way it went, and the VM can be continued
+class VMAwait {
+	static ENV_FUNCTIONS = {
+		await:        new VMEnvFunction(2, (vm, promise, type) => VMAwait.start(vm, promise, type, true)),
+		awaitSettled: new VMEnvFunction(2, (vm, promise, type) => VMAwait.start(vm, promise, type, false))
+	}
+	
+	// returns the object to push, which is a placeholder for the result if the VM has to wait
+	static start(vm, obj, typeObj, trap) {
+		let type = "any"
 		
-		let instrClass = VM.INSTR_CLASS_EXECS[instr >>> 28]
+		if (typeObj.type == VMObject.TYPE_PTR) {
+			type = typeObj.readString()
+		} else if (typeObj.type != VMObject.TYPE_NULL) {
+			throw new VMError(`Expected a ptr to the type of an awaited value or null, got type ${VMObject.getTypeName(typeObj.type)}`, VMError.CODE_TYPE)
+		}
 		
-		if (!instrClass) {
-			throw new VMError(`Tried to execute instruction from reserved instruction class ${instrClass}`)
+		if (!VMMarshal.TYPES.includes(type)) {
+			throw new VMError(`Unknown marshalling type "${type}", expected one of ${VMMarshal.TYPES.join(", ")}`)
 		}
 		
-		let s = (instr >>> 27) & 0b1
-		let c0 = (instr >>> 24) & 0b111
-		let c1 = (instr >>> 21) & 0b111
-		let r0 = (instr >>> 16) & 0b11111
-		let c2 = (instr >>> 13) & 0b111
-		let r1 = (instr >>> 8) & 0b11111
-		let c3 = (instr >>> 5) & 0b111
-		let r2 = instr & 0b11111
-		let imm = instr & 0xFFFF
+		let value = obj.getValue()
 		
-		let data = new DataView(new ArrayBuffer(2))
-		data.setInt16(0, imm)
-		let immSigned = data.getInt16(0)
-
-		if (this[instrClass](s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) && s) {
-			this.irsPush(immSigned)
+		// like in JS, awaiting something that isn't a promise gives it back right away
+		if (obj.type != VMObject.TYPE_EXT || typeof value?.then != "function") {
+			if (!trap) {
+				vm.registers.set(VMRegisters.REG_COMP, vm.create(VMInt, 1))
+			}
+			
+			return obj.type == VMObject.TYPE_EXT ? VMMarshal.toVM(vm, value, type, `Awaited value`) : obj
+		}
+		
+		if (vm.callbackDepth > 0) {
+			throw new VMError(`Tried to await inside a callback`)
 		}
+		
+		vm.awaiting = new VMAwait(vm, value, type, trap)
+		vm.pause("await")
+		
+		return vm.create(VMNull)
+	}
+	
+	constructor(vm, value, type, trap) {
+		this.pc = vm.registers.getPointer(VMRegisters.REG_PC)
+		this.type = type
+		this.trap = trap
+		
+		this.settled = false
+		this.fulfilled = false
+		this.value = undefined
+		
+		this.promise = Promise.resolve(value).then((result) => {
+			this.settled = true
+			this.fulfilled = true
+			this.value = result
+		}, (reason) => {
+			this.settled = true
+			this.value = reason
+		})
+	}
+}
 
-		this.cycles++
+// decides what VM code can do with the environment by the path it reached each value through, and logs every check
+class VMSandbox {
+	static PERMISSIONS = ["read", "write", "call"]
+	
+	static VERBS = {
+		read:  "reading",
+		write: "writing",
+		call:  "calling"
 	}
 	
-	execNop(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		return true
+	// these run a string as code, which would get around denying eval, so they can only be called with a function
+	static STRING_EVALUATORS = ["setTimeout", "setInterval"]
+	
+	static compile(pattern) {
+		let source = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*\*|\*/g, (match) => match == "**" ? ".*" : "[^.]*")
+		return new RegExp(`^${source}$`)
 	}
 	
-	execExit(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		this.stopped = true
-
-		if (c0 & 0b001) {
-			this.exitValue = this.registers.get(r0)
-		} else {
-			this.exitValue = immSigned
-		}
+	constructor(vm) {
+		this.vm = vm
+		this.rules = []
 		
-		return false
+		// with no rule for something, it's denied unless this is set
+		this.defaultAllow = false
+		
+		this.log = []
+		this.logLimit = 1000
+		
+		// the VM's own environment functions
+		for (let key of Object.keys({ ...VMHeap.ENV_FUNCTIONS, ...VMForeignFunction.ENV_FUNCTIONS, ...VMAwait.ENV_FUNCTIONS })) {
+			this.allow(key, "read", "call")
+		}
 	}
 	
-	execPush(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		if (c0 & 0b001) {
-			this.stackPush(this.registers.get(r0))
-			return true
-		} else {
-			this.stackPush(this.create(VMInt, immSigned))
-			return false
-		}
+	// reading is allowed along the way to anything that's allowed, up to its first wildcard, and so is reading something that can be called
+	allow(pattern, ...permissions) {
+		this.addRule(true, pattern, permissions)
 	}
 	
-	execPop(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		if (c0 & 0b001) {
-			this.registers.set(r0, this.create(c0 & 0b010 ? VMPtr : VMInt, this.irsPop()))
-			return true
-		} else {
-			this.registers.set(r0, this.stackPop())
-			return true
-		}
+	// denials win over anything allowed, and a pattern without wildcards also denies its value wherever it's reached from
+	deny(pattern, ...permissions) {
+		this.addRule(false, pattern, permissions)
 	}
 	
-	execRet(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		this.callStackPop()
-		this.branching = true
+	addRule(allow, pattern, permissions) {
+		if (permissions.length == 0) {
+			permissions = VMSandbox.PERMISSIONS
+		}
 		
-		return true
+		for (let permission of permissions) {
+			if (!VMSandbox.PERMISSIONS.includes(permission)) {
+				throw new VMError(`Unknown sandbox permission "${permission}", expected one of ${VMSandbox.PERMISSIONS.join(", ")}`)
+			}
+		}
+		
+		let names = pattern.replace(/^window\./, "").split(".")
+		let wildcard = names.findIndex((name) => name.includes("*"))
+		
+		// only the names before the first wildcard, since ** on its own would make everything readable
+		let ancestors = names.slice(0, wildcard == -1 ? -1 : wildcard).map((_, i) => VMSandbox.compile(names.slice(0, i + 1).join(".")))
+		
+		this.rules.push({ allow, pattern, permissions, regex: VMSandbox.compile(names.join(".")), ancestors, exact: !pattern.includes("*") })
 	}
 	
-	execEnv(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let key = this.registers.get(r1).getValueOrString()
+	// the value at a path without wildcards, looked up without any checks
+	resolve(pattern) {
+		let names = pattern.split(".")
+		let value = names[0] in this.vm.env && names[0] != "window" ? this.vm.env : this.vm.getEnvironment("")
 		
-		let base = null
+		if (names[0] == "window") {
+			names.shift()
+		}
 		
-		if (c0 & 0b001) {
-			let reg = this.registers.get(r2)
-			
-			if (reg.type != VMObject.TYPE_EXT) {
-				throw new VMError(`Tried to get or set property of environment variable, but register was type ${VMObject.getTypeName(reg.type)} instead of ext`)
+		for (let name of names) {
+			if (value == null || typeof value != "object" && typeof value != "function" || !(name in value)) {
+				return undefined
 			}
 			
-			base = reg.getValue()
+			value = value[name]
 		}
 		
-		if (s) {
-			let obj = this.registers.get(r0)
-			this.setEnvironment(key, obj.getValueOrString(), base)
-		} else {
-			let val = this.getEnvironment(key, base)
-			let result
+		return value
+	}
+	
+	isAllowed(action, path, value) {
+		let global = path == "window" ? "" : path.replace(/^window\./, "")
+		let allowed = this.defaultAllow || action == "read" && global == ""
+		let isObject = value != null && (typeof value == "object" || typeof value == "function")
+		
+		for (let rule of this.rules) {
+			let matches = rule.regex.test(path) || rule.regex.test(global)
 			
-			if (val != null) {
-				if (c0 & 0b010) {
-					result = this.create(VMExt, val)
-				} else {
-					val = Number(val)
-					
-					if (Number.isNaN(val)) {
-						throw new VMError(`Tried to get environment variable "${key}" but value is NaN`)
-					}
-					
-					result = this.create(VMFloat, val)
+			if (!rule.allow) {
+				if (rule.permissions.includes(action) && (matches || rule.exact && action != "write" && isObject && value === this.resolve(rule.pattern))) {
+					return false
 				}
-			} else {
-				result = this.create(VMNull)
+			} else if (matches && (rule.permissions.includes(action) || action == "read" && rule.permissions.includes("call"))) {
+				allowed = true
+			} else if (action == "read" && rule.ancestors.some((regex) => regex.test(global))) {
+				allowed = true
 			}
-			
-			this.registers.set(r0, result)
 		}
 		
-		return false
+		return allowed
 	}
 	
-	execB(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let branch = true
+	evaluatesStrings(func, args) {
+		return args != null && typeof args[0] != "function" && VMSandbox.STRING_EVALUATORS.some((name) => func === this.resolve(name))
+	}
+	
+	// args are the JS values a call is made with, if it's a call to a JS function
+	check(action, path, value, args = null) {
+		let evaluates = action == "call" && this.evaluatesStrings(value, args)
+		let allowed = !evaluates && this.isAllowed(action, path, value)
 		
-		if (c1 & 0b100) {
-			let comp = this.registers.get(VMRegisters.REG_COMP)
-			
-			if (comp.type != VMObject.TYPE_INT) {
-				throw new VMError(`Tried to do a conditional branch, but comparison result register was not an int`)
-			}
-			
-			branch &&= comp.getValue()
+		this.log.push({ action, path, allowed, pc: this.vm.registers.getPointer(VMRegisters.REG_PC) })
+		
+		if (this.log.length > this.logLimit) {
+			this.log.shift()
 		}
 		
-		let useRegister = c0 & 0b001
+		if (evaluates) {
+			throw new VMSandboxError(`The sandbox doesn't allow calling ${path} with anything but a function`)
+		}
 		
-		if (branch) {
-			let absolute = c0 & 0b010
-			let call = c0 & 0b100
-			
-			if (call && !absolute) {
-				throw new VMError(`Invalid relative call instruction`)
-			}
-			
-			let target
-			
-			if (useRegister) {
-				let reg = this.registers.get(r0)
-				
-				if (call && reg.type == VMObject.TYPE_EXT) {
-					let func = reg.getValue()
+		if (!allowed) {
+			throw new VMSandboxError(`The sandbox doesn't allow ${VMSandbox.VERBS[action]} ${path}`)
+		}
+	}
+}
 
-					let argCount
-					let ext
-					
-					if (func instanceof VMEnvFunction) {
-						argCount = func.args
-						ext = false
-					} else if (func instanceof Function) {
-						let obj = this.stackPop()
-						
-						if (obj.type != VMObject.TYPE_INT) {
-							throw new VMError(`Expected int argument count for external call, got type ${VMObject.getTypeName(obj.type)}`)
-						}
-						
-						argCount = obj.getValue()
-						ext = true
-					}
-					
-					let args = []
-					
-					for (let i = 0; i < argCount; i++) {
-						let obj = this.stackPop()
-						
-						if (ext) {
-							obj = obj.getValueOrString()
-						}
-						
-						args.push(obj)
-					}
-					
-					let res = func.call(this, ...args)
-					
-					if (res === undefined) {
-						this.stackPush(this.create(VMNull))
-					} else {
-						this.stackPush(this.create(VMExt, res))
-					}
-					
-					return useRegister
-				}
-				
-				if (!(reg.type == VMObject.TYPE_INT || absolute && reg.type == VMObject.TYPE_PTR)) {
-					throw new VMError(`Invalid register type ${VMObject.getTypeName(reg.type)} for branch. Branch type: ${c0}`)
-				}
-				
-				target = reg.getValue()
-			} else {
-				target = immSigned
-			}
-			
-			if (call) {
-				this.callStackPush()
-			}
-			
-			let pc = this.registers.get(VMRegisters.REG_PC)
-			
-			if (!absolute) {
-				target += pc.getValue()
-			}
-			
-			this.registers.set(VMRegisters.REG_PC, this.create(VMPtr, this.memory, target))
-			this.branching = true
+class VMHeap {
+	// heap blocks start on a multiple of this many words
+	static ALIGN = 4
+	
+	static ENV_FUNCTIONS = {
+		malloc:  new VMEnvFunction(1, (vm, size) => vm.malloc(vm.heap.toSize(size))),
+		free:    new VMEnvFunction(1, (vm, ptr) => vm.free(ptr)),
+		realloc: new VMEnvFunction(2, (vm, ptr, size) => vm.realloc(ptr, vm.heap.toSize(size))),
+		calloc:  new VMEnvFunction(2, (vm, count, size) => vm.calloc(vm.heap.toSize(count), vm.heap.toSize(size)))
+	}
+	
+	static alignUp(value) {
+		return Math.ceil(value / VMHeap.ALIGN) * VMHeap.ALIGN
+	}
+	
+	constructor(vm, memory) {
+		this.vm = vm
+		this.memory = memory
+		
+		this.reset(0)
+	}
+	
+	reset(start) {
+		this.start = VMHeap.alignUp(start)
+		this.end = this.memory.size
+		
+		// free blocks sorted by address, and allocated blocks by address
+		this.freeBlocks = this.start < this.end ? [{ addr: this.start, size: this.end - this.start }] : []
+		this.allocated = new Map()
+		this.freed = new Set()
+		
+		this.used = 0
+		this.peak = 0
+		this.totalAllocations = 0
+		this.totalFrees = 0
+	}
+	
+	toSize(obj) {
+		if (!VMObject.isTypeNumeric(obj.type)) {
+			throw new VMError(`Expected int or float size for heap function, got type ${VMObject.getTypeName(obj.type)}`, VMError.CODE_TYPE)
 		}
 		
-		return useRegister
+		return Math.trunc(obj.getValue())
 	}
 	
-	execCmp(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let regMode = c1 & 0b001
-		let destReg = regMode ? r1 : VMRegisters.REG_COMP
-
-		let reg0 = this.registers.get(r0)
-		let val0
-
-		if (regMode) {
-			if (c0 == 0b011) {
-				this.registers.set(destReg, this.create(VMInt, reg0.type == VMObject.TYPE_NULL))
-				return false
-			}
-
-			if (c0 == 0b111) {
-				this.registers.set(destReg, this.create(VMInt, reg0.type != VMObject.TYPE_NULL))
-				return false
-			}
+	// returns the address a ptr points to, or null for null objects
+	toAddress(ptr) {
+		if (ptr == null || ptr.type == VMObject.TYPE_NULL) {
+			return null
 		}
 		
-		if (!VMObject.isTypeNumericOrPtr(reg0.type)) {
-			throw new VMError(`Invalid register type ${VMObject.getTypeName(reg0.type)} for comparison`)
+		if (ptr.type != VMObject.TYPE_PTR) {
+			throw new VMError(`Expected ptr for heap function, got type ${VMObject.getTypeName(ptr.type)}`, VMError.CODE_TYPE)
 		}
 		
-		val0 = reg0.getValue()
+		if (ptr.memory != this.memory) {
+			throw new VMError(`Tried to use pointer into another memory region as a heap pointer`, VMError.CODE_ADDRESS)
+		}
 		
-		let reg1
-		let val1
+		return ptr.getValue()
+	}
+	
+	checkAllocated(addr) {
+		if (this.allocated.has(addr)) {
+			return
+		}
 		
-		if (regMode) {
-			reg1 = this.registers.get(r2)
+		if (this.freed.has(addr)) {
+			throw new VMError(`Double free of heap pointer 0x${addr.toString(16)}`, VMError.CODE_ADDRESS)
+		}
+		
+		throw new VMError(`Pointer 0x${addr.toString(16)} was not allocated by the heap`, VMError.CODE_ADDRESS)
+	}
+	
+	alloc(size) {
+		if (size < 0) {
+			throw new VMError(`Tried to allocate negative heap size ${size}`)
+		}
+		
+		size = VMHeap.alignUp(Math.max(size, 1))
+		
+		for (let i = 0; i < this.freeBlocks.length; i++) {
+			let block = this.freeBlocks[i]
 			
-			if (!VMObject.isTypeNumericOrPtr(reg1.type)) {
-				throw new VMError(`Invalid register type ${VMObject.getTypeName(reg1.type)} for comparison`)
+			if (block.size < size) {
+				continue
 			}
 			
-			if ((reg0.type == VMObject.TYPE_PTR) ^ (reg1.type == VMObject.TYPE_PTR)) {
-				throw new VMError(`Cannot compare ${VMObject.getTypeName(reg0.type)} and ${VMObject.getTypeName(reg1.type)}`)
-			}
+			let addr = block.addr
 			
-			val1 = reg1.getValue()
-		} else {
-			if (c0 == 0b100) {
-				this.registers.set(destReg, this.create(VMInt, !val0))
-				return true
-			}
-
-			if (reg0.type == VMObject.TYPE_PTR) {
-				throw new VMError(`Cannot compare ${VMObject.getTypeName(reg0.type)} and immediate`)
+			if (block.size == size) {
+				this.freeBlocks.splice(i, 1)
+			} else {
+				block.addr += size
+				block.size -= size
 			}
 			
-			val1 = immSigned
+			this.allocated.set(addr, size)
+			this.freed.delete(addr)
+			
+			this.used += size
+			this.peak = Math.max(this.peak, this.used)
+			this.totalAllocations++
+			
+			return addr
 		}
 		
-		if (reg0.type == VMObject.TYPE_PTR && reg1.type == VMObject.TYPE_PTR && reg0.memory != reg1.memory) {
-			throw new VMError(`Cannot compare pointers to different memory regions`)
+		return null
+	}
+	
+	release(addr) {
+		this.checkAllocated(addr)
+		
+		let size = this.allocated.get(addr)
+		this.allocated.delete(addr)
+		this.freed.add(addr)
+		
+		this.used -= size
+		this.totalFrees++
+		
+		this.addFreeBlock(addr, size)
+	}
+	
+	addFreeBlock(addr, size) {
+		let i = this.freeBlocks.findIndex((block) => block.addr > addr)
+		
+		if (i == -1) {
+			i = this.freeBlocks.length
 		}
 		
-		switch (c0) {
-			case 0b000:
-				this.registers.set(destReg, this.create(VMInt, val0 < val1 ? -1 : val0 > val1 ? 1 : 0))
-				return false
-
-			case 0b001:
-				this.registers.set(destReg, this.create(VMInt, val0 == val1))
-				return false
-
-			case 0b010:
-				this.registers.set(destReg, this.create(VMInt, val0 < val1))
-				return false
-
-			case 0b011:
-				this.registers.set(destReg, this.create(VMInt, val0 > val1))
-				return false
-
-			case 0b100:
-				this.registers.set(destReg, this.create(VMInt, reg0 == reg1))
-				return false
-
-			case 0b101:
-				this.registers.set(destReg, this.create(VMInt, val0 != val1))
-				return false
-
-			case 0b110:
-				this.registers.set(destReg, this.create(VMInt, val0 >= val1))
-				return false
-
-			case 0b111:
-				this.registers.set(destReg, this.create(VMInt, val0 <= val1))
-				return false
+		this.freeBlocks.splice(i, 0, { addr, size })
+		
+		// merge with the neighbouring free blocks
+		let next = this.freeBlocks[i + 1]
+		
+		if (next && addr + size == next.addr) {
+			this.freeBlocks[i].size += next.size
+			this.freeBlocks.splice(i + 1, 1)
 		}
-	}
-
-	execCvt(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let regMode = c1 & 0b001
 		
-		if (c0 == VMObject.TYPE_NULL) {
-			this.registers.set(r0, this.create(VMNull))
-			return !regMode
+		let prev = this.freeBlocks[i - 1]
+		
+		if (prev && prev.addr + prev.size == addr) {
+			prev.size += this.freeBlocks[i].size
+			this.freeBlocks.splice(i, 1)
 		}
+	}
+	
+	resize(addr, size) {
+		this.checkAllocated(addr)
 		
-		if (regMode) {
-			let srcObj = this.registers.get(r2)
-			
-			if (s) {
-				srcObj = srcObj.reinterpret(r1)
+		let oldSize = this.allocated.get(addr)
+		size = VMHeap.alignUp(Math.max(size, 1))
+		
+		if (size <= oldSize) {
+			if (size < oldSize) {
+				this.allocated.set(addr, size)
+				this.used -= oldSize - size
+				this.addFreeBlock(addr + size, oldSize - size)
 			}
 			
-			this.registers.set(r0, srcObj.convert(c0))
-		} else {
-			switch (c0) {
-				case VMObject.TYPE_INT:
-					this.registers.set(r0, this.create(VMInt, immSigned))
-					break
-				
-				case VMObject.TYPE_FLOAT:
-					this.registers.set(r0, this.create(VMFloat, immSigned))
-					break
-				
-				case VMObject.TYPE_PTR:
-					this.registers.set(r0, this.create(VMPtr, this.memory, immSigned))
-					break
-				
-				case VMObject.TYPE_EXT:
-					throw new VMError(`Cannot convert object type to external object`)
-				
-				default:
-					throw new VMError(`Tried to convert to unrecognized type ${VMObject.getTypeName(c0)}`)
-			}
+			return addr
 		}
 		
-		return false
-	}
-	
-	execNum(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let x = this.registers.get(r1)
-		let y = this.registers.get(r2)
+		// grow in place if the block right after is free and big enough
+		let i = this.freeBlocks.findIndex((block) => block.addr == addr + oldSize)
+		let next = this.freeBlocks[i]
 		
-		let isAddSub = c0 < 0b010
-		let isBitwise = c0 > 0b100
+		if (next && oldSize + next.size >= size) {
+			if (oldSize + next.size == size) {
+				this.freeBlocks.splice(i, 1)
+			} else {
+				next.addr += size - oldSize
+				next.size -= size - oldSize
+			}
+			
+			this.allocated.set(addr, size)
+			this.used += size - oldSize
+			this.peak = Math.max(this.peak, this.used)
+			return addr
+		}
 		
-		// this might be one of the worst lines of code i have written in my life
-		if ((!VMObject.isTypeNumeric(x.type) || !VMObject.isTypeNumeric(y.type) || isBitwise && (x.type != VMObject.TYPE_INT || y.type != VMObject.TYPE_INT)) && !(isAddSub && x.type == VMObject.TYPE_PTR && (y.type == VMObject.TYPE_INT || y.type == VMObject.TYPE_PTR))) {
-			throw new VMError(`Invalid types for numeric operation: ${VMObject.getTypeName(x.type)}, ${VMObject.getTypeName(y.type)}`)
+		let newAddr = this.alloc(size)
+		
+		if (newAddr == null) {
+			return null
 		}
 		
-		let v0 = x.getValue()
-		let v1 = y.getValue()
+		for (let i = 0; i < oldSize; i++) {
+			this.memory.write(newAddr + i, this.memory.read(addr + i))
+		}
 		
-		let res
-		let makeFloat = false
+		this.release(addr)
+		return newAddr
+	}
+	
+	getStats() {
+		let free = this.end - this.start - this.used
 		
-		switch (c0) {
-			case 0b000:
-			case 0b001:
-				if (c0 == 0b000) {
-					res = v0 + v1
-				} else {
-					res = v0 - v1
-				}
-				
-				if (s) {
-					if (x.type == VMObject.TYPE_PTR) {
-						throw new VMError(`Tried to store pointer additional result as float`)
-					}
-					
-					makeFloat = true
-				}
-				
-				break
-
-			case 0b010:
-				res = v0 * v1
-				makeFloat = s
-				break
-
-			case 0b011:
-				res = v0 / v1
-				makeFloat = s
-				break
+		return {
+			start: this.start,
+			end: this.end,
+			used: this.used,
+			free,
+			peak: this.peak,
+			allocations: this.allocated.size,
+			freeBlocks: this.freeBlocks.length,
+			largestFree: Math.max(0, ...this.freeBlocks.map((block) => block.size)),
+			totalAllocations: this.totalAllocations,
+			totalFrees: this.totalFrees
+		}
+	}
+	
+	serialize() {
+		return {
+			start: this.start,
+			end: this.end,
+			freeBlocks: this.freeBlocks.map(({ addr, size }) => [addr, size]),
+			allocated: [...this.allocated],
+			freed: [...this.freed],
+			used: this.used,
+			peak: this.peak,
+			totalAllocations: this.totalAllocations,
+			totalFrees: this.totalFrees
+		}
+	}
+	
+	deserialize(state) {
+		this.start = state.start
+		this.end = state.end
+		this.freeBlocks = state.freeBlocks.map(([addr, size]) => ({ addr, size }))
+		this.allocated = new Map(state.allocated)
+		this.freed = new Set(state.freed)
+		this.used = state.used
+		this.peak = state.peak
+		this.totalAllocations = state.totalAllocations
+		this.totalFrees = state.totalFrees
+	}
+}
 
-			case 0b100:
-				res = v0 % v1
-				makeFloat = s
-				break
+class VMInstruction {
+	constructor(instr) {
+		this.instr = instr
+		this.exec = VM.prototype[VM.INSTR_CLASS_EXECS[instr >>> 28]] ?? null
+		
+		this.s = (instr >>> 27) & 0b1
+		this.c0 = (instr >>> 24) & 0b111
+		this.c1 = (instr >>> 21) & 0b111
+		this.r0 = (instr >>> 16) & 0b11111
+		this.c2 = (instr >>> 13) & 0b111
+		this.r1 = (instr >>> 8) & 0b11111
+		this.c3 = (instr >>> 5) & 0b111
+		this.r2 = instr & 0b11111
+		this.imm = instr & 0xFFFF
+		this.immSigned = (this.imm << 16) >> 16
+	}
+}
 
-			case 0b101:
-				res = s ? v0 | v1 : v0 & v1
-				break
+class VM {
+	static MAIN_MEMORY_SIZE = 0x1000000
+	static STACK_SIZE = 0x10000
+	static CALL_STACK_SIZE = 0x10000
+	static IRS_SIZE = 0x10000
+	static SLICE_SIZE = 10000
+	
+	static SNAPSHOT_VERSION = 2
+	static MEMORY_REGIONS = ["memory", "stack", "callStack", "irs"]
+	
+	static INSTR_CLASS_NOP  = 0b0000
+	static INSTR_CLASS_EXIT = 0b0001
+	static INSTR_CLASS_PUSH = 0b0010
+	static INSTR_CLASS_POP  = 0b0011
+	static INSTR_CLASS_RET  = 0b0100
+	static INSTR_CLASS_ENV  = 0b0101
+	static INSTR_CLASS_B    = 0b0110
+	static INSTR_CLASS_CMP  = 0b0111
+	static INSTR_CLASS_CVT  = 0b1000
+	static INSTR_CLASS_NUM  = 0b1001
+	static INSTR_CLASS_MEM  = 0b1010
+	static INSTR_CLASS_TRAP = 0b1011
+	static INSTR_CLASS_SYS  = 0b1111
 
-			case 0b110:
-				res = s ? ~(v0 ^ v1) : v0 ^ v1
+	static INSTR_CLASS_EXECS = {
+		[VM.INSTR_CLASS_NOP]:  "execNop",
+		[VM.INSTR_CLASS_EXIT]: "execExit",
+		[VM.INSTR_CLASS_PUSH]: "execPush",
+		[VM.INSTR_CLASS_POP]:  "execPop",
+		[VM.INSTR_CLASS_RET]:  "execRet",
+		[VM.INSTR_CLASS_ENV]:  "execEnv",
+		[VM.INSTR_CLASS_B]:    "execB",
+		[VM.INSTR_CLASS_CMP]:  "execCmp",
+		[VM.INSTR_CLASS_CVT]:  "execCvt",
+		[VM.INSTR_CLASS_NUM]:  "execNum",
+		[VM.INSTR_CLASS_MEM]:  "execMem",
+		[VM.INSTR_CLASS_TRAP]: "execTrap",
+		[VM.INSTR_CLASS_SYS]:  "execSys",
+	}
+	
+	encodeStringUtf8(str) {
+		// whole words, so that reading them back doesn't run off the end
+		let data = new Uint8Array(Math.ceil((str.length * 3 + 1) / 4) * 4)
+		let { written } = this.textEncoder.encodeInto(str, data)
+		
+		let view = new DataView(data.buffer)
+		let arr = new Uint32Array(Math.ceil((written + 1) / 4))
+		
+		for (let i = 0; i < arr.length; i++) {
+			arr[i] = view.getUint32(i * 4)
+		}
+		
+		return arr
+	}
+	
+	decodeStringUtf8(arr, maxLength) {
+		let len = Math.min(arr.length, maxLength)
+		let data = []
+		
+		for (let i = 0; i < len; i++) {
+			let val = arr[i]
+			
+			if (val == 0) {
 				break
+			} else {
+				data.push(val)
+			}
+		}
+		
+		return this.textDecoder.decode(new Uint8Array(data))
+	}
 
-			case 0b111:
-				res = s ? v0 >> v1 : v0 << v1
-				break
+	constructor() {
+		this.textEncoder = new TextEncoder()
+		this.textDecoder = new TextDecoder("utf-8", { fatal: true })
+
+		this.stopped = false
+		this.paused = false
+		this.pauseReason = null
+		this.skipBreakpoint = false
+		this.branching = false
+		this.exitValue = undefined
+		
+		// changes whenever the VM is reset, so that callbacks into an old program can tell
+		this.programId = 0
+		
+		this.labels = {}
+		this.sourceMap = []
+		this.breakpoints = new Set()
+		
+		this.cycleLimit = Infinity
+		this.asyncRun = null
+		this.awaiting = null
+		this.callbackDepth = 0
+		
+		this.trapHandlers = {}
+		this.trapFrame = null
+		
+		this.envKeys = new Set()
+
+		this.registers = new VMRegisters(this)
+		
+		this.memory = new VMIntMemory(this, VM.MAIN_MEMORY_SIZE)
+		this.stack = new VMObjectMemory(this, VM.STACK_SIZE)
+		
+		this.instructionCache = new Map()
+		this.compiler = new VMCompiler(this)
+		this.compilerEnabled = false
+		
+		this.memory.onWrite = (addr) => {
+			this.instructionCache.delete(addr)
+			this.compiler.invalidate(addr)
 		}
 		
-		if (makeFloat) {
-			this.registers.set(r0, this.create(VMFloat, res))
-		} else {
-			let obj = x.copy()
-			obj.setValue(res)
-			this.registers.set(r0, obj)
+		this.memory.onClear = () => {
+			this.instructionCache.clear()
+			this.compiler.clear()
 		}
+		this.callStack = new VMIntMemory(this, VM.CALL_STACK_SIZE)
+		this.irs = new VMIntMemory(this, VM.IRS_SIZE)
 		
-		return false
+		this.heap = new VMHeap(this, this.memory)
+		
+		this.csp = this.create(VMPtr, this.callStack, 0)
+		
+		this.env = { ...VMHeap.ENV_FUNCTIONS, ...VMForeignFunction.ENV_FUNCTIONS, ...VMAwait.ENV_FUNCTIONS }
+		
+		// a VMSandbox checks everything VM code does with the environment, if set
+		this.sandbox = null
+		
+		// by signature, so that each call site doesn't parse its own
+		this.foreignFunctions = new Map()
+
+		// marshalling types for keys that get and getp shouldn't load as a float
+		this.envTypes = new Map()
+		
+		this.reset()
 	}
 
-	execMem(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		let ptr = this.registers.get(r1)
+	reset() {
+		this.programId++
+		this.cycles = 0
+		this.stopped = false
+		this.paused = false
+		this.pauseReason = null
+		this.skipBreakpoint = false
+		this.branching = false
+		this.exitValue = undefined
+		this.asyncRun = null
+		this.awaiting = null
+		
+		this.trapHandlers = {}
+		this.trapFrame = null
+		
+		this.envKeys.clear()
 
-		if (ptr.type != VMObject.TYPE_PTR) {
-			throw new VMError(`Cannot access memory from non-pointer object`)
-		}
+		this.registers.reset()
 
-		let offset = this.registers.get(r2)
+		this.memory.clear()
+		this.stack.clear()
+		this.callStack.clear()
+		this.irs.clear()
+		
+		this.heap.reset(0)
+		
+		this.csp.setValue(0)
+	}
 
-		if (offset.type != VMObject.TYPE_INT && offset.type != VMObject.TYPE_PTR) {
-			throw new VMError(`Tried to access memory but offset was type ${VMObject.getTypeName(offset.type)}`)
-		}
+	create(cons, ...args) {
+		return new cons(this, ...args)
+	}
 
-		let addr = ptr.getValue() + offset.getValue()
+	readMemory(addr, type) {
+		return this.create(VMInt, this.memory.read(addr)).reinterpret(type)
+	}
 
-		if (s) {
-			this.writeMemory(addr, this.registers.get(r0))
-		} else {
-			this.registers.set(r0, this.readMemory(addr, c0))
+	writeMemory(addr, obj) {
+		if (!VMObject.isTypeNumericOrPtr(obj.type)) {
+			throw new VMError(`Tried to write object of type ${VMObject.getTypeName(obj.type)} to memory`, VMError.CODE_TYPE)
 		}
 
-		return false
+		this.memory.write(addr, obj.getData())
 	}
 	
-	execSys(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
-		if (!s && (c0 & 0b001)) {
-			let reg = this.registers.get(r0)
-			console.log(`${VMObject.getTypeName(reg.type)} ${reg.getValue()}`)
-			return false
+	// VM code passes the path of what it's accessing, from getEnvironmentPath, so that the sandbox can check it
+	// the host leaves it out and isn't checked
+	getEnvironment(key, base, path) {
+		let root = base ?? this.env
+		let value = key in root ? root[key] : null
+		
+		if (path != null && this.sandbox) {
+			this.sandbox.check("read", path, value)
 		}
-
-		let entries = Object.entries(VMRegisters.REGISTER_NAMES)
-		let sp = this.registers.get(VMRegisters.REG_SP).getValue()
 		
-		console.log([
-			`call stack: ${this.callStack.data.slice(0, this.csp.getValue())}`,
-			`registers:`,
-			...this.registers.registers.map((e, i) => `- $${entries.find((e) => e[1] == i)?.[0] ?? i}: ${VMObject.getTypeName(e.type)} ${e.getValue()}`),
-			`stack:`,
-			...this.stack.data.slice(Math.max(0, sp - 16), sp).reverse().map((e, i) => `- ${VMObject.getTypeName(e.type)} ${e.getValue()}`)
-		].join("\n"))
+		return value
+	}
+	
+	setEnvironment(key, value, base, path) {
+		let root = base ?? this.env
 		
+		if (path != null && this.sandbox) {
+			this.sandbox.check("write", path, value)
+		}
 		
-		if (s) {
-			this.stopped = true
+		root[key] = value
+	}
+	
+	// the global object is always window, however it was reached
+	getEnvironmentPath(key, base, basePath) {
+		if (base == null || base == this.env) {
+			return key == "" ? "window" : key
 		}
 		
-		return false
+		return `${base === this.env[""] ? "window" : basePath ?? "?"}.${key}`
+	}
+	
+	// sets the type get and getp marshal the environment variable or property with this key as, or the default float if type is null
+	setEnvironmentType(key, type) {
+		if (type == null) {
+			this.envTypes.delete(key)
+		} else if (VMMarshal.TYPES.includes(type)) {
+			this.envTypes.set(key, type)
+		} else {
+			throw new VMError(`Unknown marshalling type "${type}", expected one of ${VMMarshal.TYPES.join(", ")}`)
+		}
+	}
+	
+	getForeignFunction(signature) {
+		let func = this.foreignFunctions.get(signature)
+		
+		if (!func) {
+			func = VMForeignFunction.parse(signature)
+			this.foreignFunctions.set(signature, func)
+		}
+		
+		return func
 	}
-}
 
-class VMBytecodeRelocation {
-	constructor(rel, addr, label) {
-		this.rel = rel
-		this.addr = addr
-		this.label = label
+	stackPush(obj) {
+		let sp = this.registers.getPointer(VMRegisters.REG_SP)
+		this.stack.write(sp, obj)
+		this.registers.setPointer(VMRegisters.REG_SP, sp + 1)
 	}
-}
 
-class VMBytecodeObject {
-	constructor(vm, data = [], labels = {}, relocations = []) {
-		this.vm = vm
+	stackPop() {
+		this.registers.setPointer(VMRegisters.REG_SP, this.registers.getPointer(VMRegisters.REG_SP) - 1)
+		return this.stack.read(this.registers.getPointer(VMRegisters.REG_SP))
+	}
+
+	callStackPush() {
+		this.csp.write(0, this.registers.getPointer(VMRegisters.REG_PC) + 1)
+		this.csp.setValue(this.csp.getValue() + 1)
+	}
+
+	callStackPop() {
+		this.csp.setValue(this.csp.getValue() - 1)
 		
-		this.data = data
-		this.labels = labels
-		this.relocations = relocations
+		if (this.trapFrame != null && this.csp.getValue() < this.trapFrame) {
+			this.trapFrame = null
+		}
 		
-		this.addr = 0
+		this.registers.setPointer(VMRegisters.REG_PC, this.csp.read(0))
+	}
+
+	irsPush(num) {
+		let irsp = this.registers.getPointer(VMRegisters.REG_IRSP)
+		this.irs.write(irsp, num)
+		this.registers.setPointer(VMRegisters.REG_IRSP, irsp + 1)
+	}
+
+	irsPop() {
+		this.registers.setPointer(VMRegisters.REG_IRSP, this.registers.getPointer(VMRegisters.REG_IRSP) - 1)
+		return this.irs.read(this.registers.getPointer(VMRegisters.REG_IRSP))
 	}
 	
-	pushInt(num) {
-		this.data[this.addr++] = num
+	loadProgram(buf, labels = {}, sourceMap = []) {
+		this.reset()
+		
+		for (let i = 0; i < buf.length; i++) {
+			this.memory.write(i, buf[i])
+		}
+		
+		// the heap gets everything above the program
+		this.heap.reset(buf.length)
+		
+		this.labels = labels
+		this.sourceMap = sourceMap
 	}
 	
-	pushFloat(num) {
-		let data = new DataView(new ArrayBuffer(4))
-		data.setFloat32(0, num)
-		this.data[this.addr++] = data.getInt32(0)
+	// loads a linked program saved with VMBytecodeObject.serialize, and returns it
+	loadExecutable(bytes) {
+		let obj = VMBytecodeObject.deserialize(this, bytes)
+		
+		if (!obj.isLinked()) {
+			throw new VMError(`Tried to load a relocatable object from ${obj.unit?.file ?? "an object file"} as a program, it has to be linked first`)
+		}
+		
+		this.loadProgram(obj.data, obj.labels, obj.sourceMap)
+		return obj
 	}
 	
-	pushString(str) {
-		let data = this.vm.encodeStringUtf8(str)
+	malloc(size) {
+		let addr = this.heap.alloc(size)
+		return addr == null ? this.create(VMNull) : this.create(VMPtr, this.memory, addr)
+	}
+	
+	calloc(count, size) {
+		let ptr = this.malloc(count * size)
 		
-		for (let i = 0; i < data.length; i++) {
-			this.data[this.addr++] = data[i]
+		if (ptr.type == VMObject.TYPE_PTR) {
+			for (let i = 0; i < count * size; i++) {
+				this.memory.write(ptr.getValue() + i, 0)
+			}
 		}
+		
+		return ptr
 	}
 	
-	addLabel(name, offset = 0) {
-		if (name in this.labels) {
-			throw new Error(`Duplicate label "${name}"`)
+	realloc(ptr, size) {
+		let addr = this.heap.toAddress(ptr)
+		
+		if (addr == null) {
+			return this.malloc(size)
 		}
 		
-		this.labels[name] = this.addr + offset
+		if (size == 0) {
+			this.heap.release(addr)
+			return this.create(VMNull)
+		}
+		
+		let newAddr = this.heap.resize(addr, size)
+		return newAddr == null ? this.create(VMNull) : this.create(VMPtr, this.memory, newAddr)
 	}
 	
-	addRelocation(rel, name, offset = 0) {
-		this.relocations.push(new VMBytecodeRelocation(rel, this.addr + offset, name))
+	free(ptr) {
+		let addr = this.heap.toAddress(ptr)
+		
+		if (addr != null) {
+			this.heap.release(addr)
+		}
 	}
 	
-	apply(func, ...args) {
-		func.apply(this, args)
+	getHeapStats() {
+		return this.heap.getStats()
 	}
-}
-
-class VMAssemblerOp {
-	constructor(encoding, irs, args) {
-		this.encoding = encoding.split("").filter((e) => e != " ")
-		this.irs = irs
-		this.args = args
+	
+	snapshotObject(obj, handle) {
+		let type = VMObject.getTypeName(obj.type)
+		
+		switch (obj.type) {
+			case VMObject.TYPE_INT:
+			case VMObject.TYPE_FLOAT:
+				return { type, data: obj.getData() }
+			
+			case VMObject.TYPE_PTR:
+				return { type, data: obj.getData(), memory: VM.MEMORY_REGIONS.find((name) => this[name] == obj.memory) }
+			
+			case VMObject.TYPE_EXT: {
+				let value = obj.getValue()
+				
+				// primitives can be stored as is, everything else has to be re-bound by the host
+				if (value === null || typeof value == "string" || typeof value == "number" || typeof value == "boolean") {
+					return { type, value }
+				}
+				
+				return { type, handle: handle(value) }
+			}
+			
+			default:
+				return { type }
+		}
+	}
+	
+	restoreObject(record, externals) {
+		switch (record.type) {
+			case "null":
+				return this.create(VMNull)
+			
+			case "int":
+			case "float": {
+				let obj = this.create(record.type == "int" ? VMInt : VMFloat, 0)
+				obj.setData(record.data)
+				return obj
+			}
+			
+			case "ptr": {
+				if (!VM.MEMORY_REGIONS.includes(record.memory)) {
+					throw new VMError(`Tried to restore pointer to unrecognized memory region "${record.memory}"`)
+				}
+				
+				let obj = this.create(VMPtr, this[record.memory], 0)
+				obj.setData(record.data)
+				return obj
+			}
+			
+			case "ext":
+				return this.create(VMExt, "handle" in record ? externals[record.handle] : record.value)
+			
+			default:
+				throw new VMError(`Tried to restore object of unrecognized type "${record.type}"`)
+		}
+	}
+	
+	snapshot(nameExternal = null) {
+		let objects = []
+		let objectIds = new Map()
+		let handles = []
+		let handleIds = new Map()
+		
+		let handle = (value) => {
+			if (!handleIds.has(value)) {
+				handleIds.set(value, handles.length)
+				handles.push({
+					name: nameExternal?.(value) ?? `ext${handles.length}`,
+					description: typeof value == "function" ? `function ${value.name}` : Object.prototype.toString.call(value)
+				})
+			}
+			
+			return handleIds.get(value)
+		}
+		
+		let ref = (obj) => {
+			if (!objectIds.has(obj)) {
+				objectIds.set(obj, objects.length)
+				objects.push(this.snapshotObject(obj, handle))
+			}
+			
+			return objectIds.get(obj)
+		}
+		
+		let env = [...this.envKeys].map((key) => {
+			let value = this.getEnvironment(key)
+			return typeof value == "object" && value !== null || typeof value == "function" ? { key, handle: handle(value) } : { key, value }
+		})
+		
+		return {
+			version: VM.SNAPSHOT_VERSION,
+			
+			registers: Array.from({ length: VMRegisters.NUM_REGISTERS }, (_, i) => ref(this.registers.peek(i))),
+			memory: this.memory.serialize(),
+			stack: this.stack.serialize(ref),
+			callStack: this.callStack.serialize(),
+			irs: this.irs.serialize(),
+			heap: this.heap.serialize(),
+			
+			csp: this.csp.getValue(),
+			cycles: this.cycles,
+			stopped: this.stopped,
+			paused: this.paused,
+			pauseReason: this.pauseReason,
+			skipBreakpoint: this.skipBreakpoint,
+			exitValue: this.exitValue instanceof VMObject ? { object: ref(this.exitValue) } : { value: this.exitValue },
+			trapHandlers: { ...this.trapHandlers },
+			trapFrame: this.trapFrame,
+			labels: { ...this.labels },
+			env,
+			
+			objects,
+			handles
+		}
+	}
+	
+	restore(snapshot, bindings = {}) {
+		if (snapshot?.version != VM.SNAPSHOT_VERSION) {
+			throw new VMError(`Tried to restore snapshot with unsupported version ${snapshot?.version}`)
+		}
+		
+		let externals = snapshot.handles.map((handle) => {
+			let value = typeof bindings == "function" ? bindings(handle) : bindings[handle.name]
+			
+			if (value === undefined) {
+				throw new VMError(`No binding for external handle "${handle.name}" (${handle.description})`)
+			}
+			
+			return value
+		})
+		
+		this.reset()
+		
+		let objects = []
+		let deref = (id) => objects[id] ??= this.restoreObject(snapshot.objects[id], externals)
+		
+		for (let i = 0; i < VMRegisters.NUM_REGISTERS; i++) {
+			this.registers.poke(i, deref(snapshot.registers[i]))
+		}
+		
+		this.memory.deserialize(snapshot.memory)
+		this.stack.deserialize(snapshot.stack, deref)
+		this.callStack.deserialize(snapshot.callStack)
+		this.irs.deserialize(snapshot.irs)
+		this.heap.deserialize(snapshot.heap)
+		
+		this.csp.setValue(snapshot.csp)
+		this.cycles = snapshot.cycles
+		this.stopped = snapshot.stopped
+		this.paused = snapshot.paused
+		this.pauseReason = snapshot.pauseReason
+		this.skipBreakpoint = snapshot.skipBreakpoint
+		this.exitValue = "object" in snapshot.exitValue ? deref(snapshot.exitValue.object) : snapshot.exitValue.value
+		this.trapHandlers = { ...snapshot.trapHandlers }
+		this.trapFrame = snapshot.trapFrame
+		this.labels = { ...snapshot.labels }
+		
+		for (let i = 0; i < snapshot.env.length; i++) {
+			let { key, handle, value } = snapshot.env[i]
+			this.setEnvironment(key, handle != undefined ? externals[handle] : value)
+			this.envKeys.add(key)
+		}
+	}
+	
+	static describeSnapshotObject(snapshot, id) {
+		let record = snapshot.objects[id]
+		
+		switch (record.type) {
+			case "int":
+				return `int ${record.data | 0}`
+			
+			case "float": {
+				let data = new DataView(new ArrayBuffer(4))
+				data.setUint32(0, record.data)
+				return `float ${data.getFloat32(0)}`
+			}
+			
+			case "ptr":
+				return `ptr ${record.memory}:${record.data}`
+			
+			case "ext":
+				return "handle" in record ? `ext <${snapshot.handles[record.handle].name}>` : `ext ${JSON.stringify(record.value)}`
+			
+			default:
+				return record.type
+		}
+	}
+	
+	static diffSnapshots(a, b) {
+		let changes = []
+		
+		let compare = (region, addr, before, after) => {
+			if (before !== after) {
+				changes.push({ region, addr, before, after })
+			}
+		}
+		
+		for (let key of ["csp", "cycles", "stopped", "paused", "pauseReason", "trapFrame"]) {
+			compare("state", key, a[key], b[key])
+		}
+		
+		compare("state", "exitValue",
+			"object" in a.exitValue ? VM.describeSnapshotObject(a, a.exitValue.object) : a.exitValue.value,
+			"object" in b.exitValue ? VM.describeSnapshotObject(b, b.exitValue.object) : b.exitValue.value)
+		
+		for (let code of new Set([...Object.keys(a.trapHandlers), ...Object.keys(b.trapHandlers)])) {
+			compare("trapHandlers", +code, a.trapHandlers[code], b.trapHandlers[code])
+		}
+		
+		for (let i = 0; i < VMRegisters.NUM_REGISTERS; i++) {
+			compare("registers", i, VM.describeSnapshotObject(a, a.registers[i]), VM.describeSnapshotObject(b, b.registers[i]))
+		}
+		
+		let stackA = new Map(a.stack.entries)
+		let stackB = new Map(b.stack.entries)
+		
+		for (let addr of new Set([...stackA.keys(), ...stackB.keys()])) {
+			compare("stack", addr,
+				stackA.has(addr) ? VM.describeSnapshotObject(a, stackA.get(addr)) : "null",
+				stackB.has(addr) ? VM.describeSnapshotObject(b, stackB.get(addr)) : "null")
+		}
+		
+		for (let region of ["memory", "callStack", "irs"]) {
+			let pagesA = new Map(a[region].pages.map((e) => [e.addr, e.data]))
+			let pagesB = new Map(b[region].pages.map((e) => [e.addr, e.data]))
+			
+			for (let addr of [...new Set([...pagesA.keys(), ...pagesB.keys()])].sort((x, y) => x - y)) {
+				if (pagesA.get(addr) == pagesB.get(addr)) {
+					continue
+				}
+				
+				let wordsA = pagesA.has(addr) ? VMIntMemory.decodeWords(pagesA.get(addr)) : null
+				let wordsB = pagesB.has(addr) ? VMIntMemory.decodeWords(pagesB.get(addr)) : null
+				let length = Math.max(wordsA?.length ?? 0, wordsB?.length ?? 0)
+				
+				for (let i = 0; i < length; i++) {
+					compare(region, addr + i, wordsA?.[i] ?? 0, wordsB?.[i] ?? 0)
+				}
+			}
+		}
+		
+		let envA = new Map(a.env.map((e) => [e.key, e.handle != undefined ? `<${a.handles[e.handle].name}>` : e.value]))
+		let envB = new Map(b.env.map((e) => [e.key, e.handle != undefined ? `<${b.handles[e.handle].name}>` : e.value]))
+		
+		for (let key of new Set([...envA.keys(), ...envB.keys()])) {
+			compare("env", key, envA.get(key), envB.get(key))
+		}
+		
+		return changes
+	}
+	
+	resolveAddress(target) {
+		if (typeof target == "string") {
+			if (!(target in this.labels)) {
+				throw new VMError(`Couldn't find label "${target}"`)
+			}
+			
+			return this.labels[target]
+		}
+		
+		return target
+	}
+	
+	getSourceLocation(addr) {
+		return this.sourceMap[addr] ?? null
+	}
+	
+	// internal labels like the rodata ones start with __ and are skipped
+	getNearestLabel(addr) {
+		let nearest = null
+		
+		for (let name in this.labels) {
+			let labelAddr = this.labels[name]
+			
+			if (!name.startsWith("__") && labelAddr <= addr && (nearest == null || labelAddr > this.labels[nearest])) {
+				nearest = name
+			}
+		}
+		
+		return nearest == null ? null : { name: nearest, offset: addr - this.labels[nearest] }
+	}
+	
+	describeAddress(addr) {
+		let location = this.getSourceLocation(addr)
+		let label = this.getNearestLabel(addr)
+		
+		let str = location ? location.toString() : `0x${addr.toString(16).padStart(8, "0")}`
+		
+		if (label) {
+			str += ` (${label.name}${label.offset ? "+" + label.offset : ""})`
+		}
+		
+		return str
+	}
+	
+	addBreakpoint(target) {
+		let addr = this.resolveAddress(target)
+		this.breakpoints.add(addr)
+		return addr
+	}
+	
+	removeBreakpoint(target) {
+		return this.breakpoints.delete(this.resolveAddress(target))
+	}
+	
+	clearBreakpoints() {
+		this.breakpoints.clear()
+	}
+	
+	setTrapHandler(code, target) {
+		this.trapHandlers[code] = this.resolveAddress(target)
+	}
+	
+	clearTrapHandler(code) {
+		delete this.trapHandlers[code]
+	}
+	
+	trap(err) {
+		let pc = this.registers.getPointer(VMRegisters.REG_PC)
+		err.pc ??= pc
+		
+		let inHandler = this.trapFrame != null && this.csp.getValue() >= this.trapFrame
+		let handler = this.trapHandlers[err.code] ?? this.trapHandlers[VMError.CODE_ANY]
+		
+		if (inHandler || handler == undefined) {
+			this.stopped = true
+			
+			err.location = this.getSourceLocation(err.pc)
+			err.label = this.getNearestLabel(err.pc)
+			err.message += ` at ${this.describeAddress(err.pc)}`
+			
+			throw err
+		}
+		
+		this.callStackPush()
+		this.trapFrame = this.csp.getValue()
+		
+		this.registers.set(VMRegisters.REG_COMP, this.create(VMInt, err.code))
+		this.registers.set(VMRegisters.REG_P0, this.create(VMPtr, this.memory, pc))
+		this.registers.set(VMRegisters.REG_P1, this.create(VMExt, err.message))
+		
+		this.registers.setPointer(VMRegisters.REG_PC, handler)
+	}
+	
+	getCallStack() {
+		let frames = []
+		
+		for (let i = this.csp.getValue() - 1; i >= 0; i--) {
+			frames.push(this.callStack.read(i))
+		}
+		
+		return frames
+	}
+	
+	pause(reason) {
+		this.paused = true
+		this.pauseReason = reason
+	}
+	
+	run() {
+		return this.runUntil(null)
+	}
+	
+	continue() {
+		return this.runUntil(null)
+	}
+	
+	async runAsync(sliceSize = VM.SLICE_SIZE) {
+		let run = this.asyncRun = { cancelled: false }
+		
+		while (true) {
+			this.runUntil(null, sliceSize)
+			
+			if (this.awaiting) {
+				await this.awaiting.promise
+			} else if (this.stopped || this.paused) {
+				break
+			} else {
+				await new Promise((resolve) => setTimeout(resolve, 0))
+			}
+			
+			// the program was reloaded or another run was started while we were waiting
+			if (this.asyncRun != run) {
+				return this.exitValue
+			}
+			
+			if (run.cancelled) {
+				this.pause("cancelled")
+				break
+			}
+		}
+		
+		this.asyncRun = null
+		return this.exitValue
+	}
+	
+	cancel() {
+		if (this.asyncRun) {
+			this.asyncRun.cancelled = true
+		}
+	}
+	
+	// turns the subroutine at a label or address into a JS function, which runs it on this VM and hands back what it returns
+	// the arguments are marshalled as the parameter types and pushed so that the first one is popped first, with their count on top if the last parameter takes any number
+	// the subroutine has to push its result before returning, unless the result type is void
+	makeCallback(target, params = [], result = "void") {
+		let addr = this.resolveAddress(target)
+		let error = VMForeignFunction.check("callback", params, result)
+		
+		if (error) {
+			throw new VMError(`${error} in callback signature "${VMForeignFunction.format("", params, result).trim()}"`)
+		}
+		
+		let signature = new VMForeignFunction(typeof target == "string" ? target : null, params, result)
+		let programId = this.programId
+		let vm = this
+		
+		return function (...args) {
+			if (vm.programId != programId) {
+				throw new VMError(`Tried to call a callback into a program that's no longer loaded`)
+			}
+			
+			return vm.runCallback(addr, signature, args)
+		}
+	}
+	
+	// runs a callback to completion, even if the program is stopped or paused, and leaves the interrupted program as it was
+	runCallback(addr, signature, args) {
+		let name = signature.path ?? this.describeAddress(addr)
+		let count = signature.variadic ? Math.max(args.length, signature.params.length - 1) : signature.params.length
+		let objects = []
+		
+		for (let i = 0; i < count; i++) {
+			objects.push(VMMarshal.toVM(this, args[i], signature.getParamType(i), `Argument ${i + 1} of callback ${name}`))
+		}
+		
+		let saved = {
+			registers: this.registers.save(),
+			csp: this.csp.getValue(),
+			stopped: this.stopped,
+			paused: this.paused,
+			pauseReason: this.pauseReason,
+			skipBreakpoint: this.skipBreakpoint,
+			branching: this.branching,
+			exitValue: this.exitValue,
+			trapFrame: this.trapFrame,
+			awaiting: this.awaiting,
+			cycles: this.cycles
+		}
+		
+		try {
+			this.callbackDepth++
+			
+			// each call gets the whole cycle limit, and what it used is added to the total afterwards
+			this.cycles = 0
+			
+			this.stopped = false
+			this.branching = false
+			this.trapFrame = null
+			this.awaiting = null
+			
+			let sp = this.registers.getPointer(VMRegisters.REG_SP)
+			
+			for (let i = objects.length - 1; i >= 0; i--) {
+				this.stackPush(objects[i])
+			}
+			
+			if (signature.variadic) {
+				this.stackPush(this.create(VMInt, count))
+			}
+			
+			this.callStackPush()
+			this.registers.setPointer(VMRegisters.REG_PC, addr)
+			
+			try {
+				while (!this.stopped && this.csp.getValue() > saved.csp) {
+					if (this.cycles >= this.cycleLimit) {
+						throw new VMError(`Cycle limit exceeded`)
+					}
+					
+					if (!(this.compilerEnabled && !DEBUG && this.compiler.run(Infinity))) {
+						this.step()
+					}
+				}
+			} catch (err) {
+				if (!(err instanceof VMError)) {
+					throw err
+				}
+				
+				let message = `Callback ${name} faulted: ${err.message}`
+				throw err instanceof VMSandboxError ? new VMSandboxError(message, { cause: err }) : new VMError(message, err.code, { cause: err })
+			}
+			
+			if (signature.result == "void") {
+				return undefined
+			}
+			
+			let obj
+			
+			// exiting ends just the callback, with the exit value as its result
+			if (this.stopped) {
+				obj = this.exitValue instanceof VMObject ? this.exitValue : this.create(VMInt, this.exitValue)
+			} else if (this.registers.getPointer(VMRegisters.REG_SP) > sp) {
+				obj = this.stackPop()
+			} else {
+				throw new VMError(`Callback ${name} returned without pushing a result`)
+			}
+			
+			return VMMarshal.fromVM(obj, signature.result, `Return value of callback ${name}`)
+		} finally {
+			this.callbackDepth--
+			this.registers.restore(saved.registers)
+			this.csp.setValue(saved.csp)
+			this.stopped = saved.stopped
+			this.paused = saved.paused
+			this.pauseReason = saved.pauseReason
+			this.skipBreakpoint = saved.skipBreakpoint
+			this.branching = saved.branching
+			this.exitValue = saved.exitValue
+			this.trapFrame = saved.trapFrame
+			this.awaiting = saved.awaiting
+			this.cycles += saved.cycles
+		}
+	}
+	
+	// while the program is waiting on an await, this returns the VMAwait instead of the exit value
+	runUntil(cond, maxSteps = Infinity) {
+		if (this.awaiting && !this.resumeAwait()) {
+			return this.awaiting
+		}
+		
+		this.paused = false
+		this.pauseReason = null
+		
+		for (let i = 0; i < maxSteps && !this.stopped && !this.paused; i++) {
+			if (this.cycles >= this.cycleLimit) {
+				this.pause("cycle limit exceeded")
+				break
+			}
+			
+			if (!this.skipBreakpoint && this.breakpoints.has(this.registers.getPointer(VMRegisters.REG_PC))) {
+				this.pause("breakpoint")
+				this.skipBreakpoint = true
+				break
+			}
+			
+			if (this.compilerEnabled && !cond && !DEBUG) {
+				let executed = this.compiler.run(maxSteps - i)
+				
+				if (executed) {
+					i += executed - 1
+					continue
+				}
+			}
+			
+			this.step()
+			
+			if (!this.stopped && !this.paused && cond?.()) {
+				this.pause("step")
+			}
+		}
+		
+		return this.awaiting ?? this.exitValue
+	}
+	
+	// picks the program back up after an await, with the result in place of the placeholder on the stack, or returns false if it's still waiting
+	// a rejection traps as if the call had thrown, unless it was awaitSettled, which pushes the reason and clears $COMP instead
+	resumeAwait() {
+		let awaiting = this.awaiting
+		
+		if (!awaiting.settled) {
+			this.pause("await")
+			return false
+		}
+		
+		this.awaiting = null
+		this.stackPop()
+		
+		try {
+			if (awaiting.fulfilled) {
+				this.stackPush(VMMarshal.toVM(this, awaiting.value, awaiting.type, `Awaited value`))
+			} else if (awaiting.trap) {
+				throw new VMError(`Awaited promise was rejected: ${awaiting.value?.message ?? awaiting.value}`, VMError.CODE_EXTERNAL, { cause: awaiting.value })
+			} else {
+				this.stackPush(awaiting.value == null ? this.create(VMNull) : this.create(VMExt, awaiting.value))
+			}
+			
+			if (!awaiting.trap) {
+				this.registers.set(VMRegisters.REG_COMP, this.create(VMInt, awaiting.fulfilled ? 1 : 0))
+			}
+		} catch (err) {
+			if (!(err instanceof VMError)) {
+				throw err
+			}
+			
+			// the fault is at the call that awaited, and a handler returns to the instruction after it
+			this.registers.setPointer(VMRegisters.REG_PC, awaiting.pc)
+			this.trap(err)
+		}
+		
+		return true
+	}
+	
+	stepOver() {
+		let depth = this.csp.getValue()
+		this.step()
+		
+		if (!this.stopped && !this.paused && this.csp.getValue() > depth) {
+			return this.runUntil(() => this.csp.getValue() <= depth)
+		}
+		
+		return this.exitValue
+	}
+	
+	stepOut() {
+		let depth = this.csp.getValue()
+		
+		if (depth == 0) {
+			throw new VMError(`Tried to step out of the top-level frame`)
+		}
+		
+		return this.runUntil(() => this.csp.getValue() < depth)
+	}
+	
+	step() {
+		if (this.awaiting && !this.resumeAwait()) {
+			return this.awaiting
+		}
+		
+		if (!this.stopped) {
+			this.paused = false
+			this.pauseReason = null
+			this.skipBreakpoint = false
+			
+			let pc = this.registers.getPointer(VMRegisters.REG_PC)
+			
+			try {
+				this.execute(this.fetch(pc))
+			} catch (err) {
+				if (!(err instanceof VMError)) {
+					throw err
+				}
+				
+				this.branching = false
+				this.trap(err)
+				return this.exitValue
+			}
+
+			if (!this.branching) {
+				this.registers.setPointer(VMRegisters.REG_PC, pc + 1)
+			}
+			
+			this.branching = false
+		}
+		
+		return this.exitValue
+	}
+
+	// decoded instructions are cached per address until that address is written to
+	fetch(addr) {
+		let decoded = this.instructionCache.get(addr)
+		
+		if (decoded === undefined) {
+			decoded = new VMInstruction(this.memory.read(addr))
+			this.instructionCache.set(addr, decoded)
+		}
+		
+		return decoded
+	}
+
+	executeInstruction(instr) {
+		this.execute(new VMInstruction(instr))
+	}
+	
+	execute(decoded) {
+		if (DEBUG) {
+			let pc = this.registers.getPointer(VMRegisters.REG_PC)
+			debug(`CursedVM: Executing instruction ${(decoded.instr >>> 0).toString(16)} (PC ${pc.toString(16).padStart(8, "0")}, ${this.describeAddress(pc)})`)
+		}
+		
+		if (!decoded.exec) {
+			throw new VMError(`Tried to execute instruction from reserved instruction class ${decoded.instr >>> 28}`, VMError.CODE_INSTRUCTION)
+		}
+		
+		let { s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned } = decoded
+
+		if (decoded.exec.call(this, s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) && s) {
+			this.irsPush(immSigned)
+		}
+
+		this.cycles++
+	}
+	
+	execNop(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		return true
+	}
+	
+	execExit(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		this.stopped = true
+
+		if (c0 & 0b001) {
+			this.exitValue = this.registers.get(r0)
+		} else {
+			this.exitValue = immSigned
+		}
+		
+		return false
+	}
+	
+	execPush(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		if (c0 & 0b001) {
+			this.stackPush(this.registers.get(r0))
+			return true
+		} else {
+			this.stackPush(this.create(VMInt, immSigned))
+			return false
+		}
+	}
+	
+	execPop(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		if (c0 & 0b001) {
+			this.registers.set(r0, this.create(c0 & 0b010 ? VMPtr : VMInt, this.irsPop()))
+			return true
+		} else {
+			this.registers.set(r0, this.stackPop())
+			return true
+		}
+	}
+	
+	execRet(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		this.callStackPop()
+		this.branching = true
+		
+		return true
+	}
+	
+	execEnv(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let key = this.registers.get(r1).getValueOrString()
+		
+		let base = null
+		let basePath = null
+		
+		if (c0 & 0b001) {
+			let reg = this.registers.get(r2)
+			
+			if (reg.type != VMObject.TYPE_EXT) {
+				throw new VMError(`Tried to get or set property of environment variable, but register was type ${VMObject.getTypeName(reg.type)} instead of ext`, VMError.CODE_TYPE)
+			}
+			
+			base = reg.getValue()
+			basePath = reg.path
+		} else {
+			this.envKeys.add(key)
+		}
+		
+		let path = this.getEnvironmentPath(key, base, basePath)
+		
+		if (s) {
+			let obj = this.registers.get(r0)
+			this.setEnvironment(key, obj.getValueOrString(), base, path)
+		} else {
+			let val = this.getEnvironment(key, base, path)
+			let result
+			
+			if (val != null) {
+				if (c0 & 0b010) {
+					result = this.create(VMExt, val)
+					result.path = path
+				} else if (this.envTypes.has(key)) {
+					result = VMMarshal.toVM(this, val, this.envTypes.get(key), `Environment variable "${key}"`)
+				} else {
+					val = Number(val)
+					
+					if (Number.isNaN(val)) {
+						throw new VMError(`Tried to get environment variable "${key}" but value is NaN`)
+					}
+					
+					result = this.create(VMFloat, val)
+				}
+			} else {
+				result = this.create(VMNull)
+			}
+			
+			this.registers.set(r0, result)
+		}
+		
+		return false
+	}
+	
+	execB(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let branch = true
+		
+		if (c1 & 0b100) {
+			let comp = this.registers.get(VMRegisters.REG_COMP)
+			
+			if (comp.type != VMObject.TYPE_INT) {
+				throw new VMError(`Tried to do a conditional branch, but comparison result register was not an int`, VMError.CODE_TYPE)
+			}
+			
+			branch &&= comp.getValue()
+		}
+		
+		let useRegister = c0 & 0b001
+		
+		if (branch) {
+			let absolute = c0 & 0b010
+			let call = c0 & 0b100
+			
+			if (call && !absolute) {
+				throw new VMError(`Invalid relative call instruction`, VMError.CODE_INSTRUCTION)
+			}
+			
+			let target
+			
+			if (useRegister) {
+				let reg = this.registers.get(r0)
+				
+				if (call && reg.type == VMObject.TYPE_EXT) {
+					let func = reg.getValue()
+
+					let argCount
+					let ext
+					
+					if (func instanceof VMEnvFunction) {
+						argCount = func.args
+						ext = false
+					} else if (func instanceof Function || func instanceof VMForeignFunction) {
+						let obj = this.stackPop()
+						
+						if (obj.type != VMObject.TYPE_INT) {
+							throw new VMError(`Expected int argument count for external call, got type ${VMObject.getTypeName(obj.type)}`, VMError.CODE_TYPE)
+						}
+						
+						argCount = obj.getValue()
+						
+						// foreign functions check and convert their own arguments
+						if (func instanceof VMForeignFunction) {
+							func.checkArity(argCount)
+						}
+						
+						ext = func instanceof Function
+					}
+					
+					let args = []
+					
+					for (let i = 0; i < argCount; i++) {
+						let obj = this.stackPop()
+						
+						if (ext) {
+							obj = obj.getValueOrString()
+						}
+						
+						args.push(obj)
+					}
+					
+					let path = reg.path ?? "?"
+					
+					// foreign functions are checked by the path they look up instead
+					if (this.sandbox && !(func instanceof VMForeignFunction)) {
+						this.sandbox.check("call", path, func, ext ? args : null)
+					}
+					
+					let res
+					
+					try {
+						res = func.call(this, ...args)
+					} catch (err) {
+						if (err instanceof VMError) {
+							throw err
+						}
+						
+						throw new VMError(`External function threw: ${err?.message ?? err}`, VMError.CODE_EXTERNAL, { cause: err })
+					}
+					
+					if (res === undefined) {
+						// except for void foreign functions, which don't push anything
+						if (!(func instanceof VMForeignFunction)) {
+							this.stackPush(this.create(VMNull))
+						}
+					} else if (!ext && res instanceof VMObject) {
+						if (res instanceof VMExt) {
+							res.path ??= `${path}()`
+						}
+						
+						this.stackPush(res)
+					} else {
+						let obj = this.create(VMExt, res)
+						obj.path = `${path}()`
+						this.stackPush(obj)
+					}
+					
+					return useRegister
+				}
+				
+				if (!(reg.type == VMObject.TYPE_INT || absolute && reg.type == VMObject.TYPE_PTR)) {
+					throw new VMError(`Invalid register type ${VMObject.getTypeName(reg.type)} for branch. Branch type: ${c0}`, VMError.CODE_TYPE)
+				}
+				
+				target = reg.getValue()
+			} else {
+				target = immSigned
+			}
+			
+			if (call) {
+				this.callStackPush()
+			}
+			
+			if (!absolute) {
+				target += this.registers.getPointer(VMRegisters.REG_PC)
+			}
+			
+			this.registers.setPointer(VMRegisters.REG_PC, target)
+			this.branching = true
+		}
+		
+		return useRegister
+	}
+	
+	execCmp(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let regMode = c1 & 0b001
+		let destReg = regMode ? r1 : VMRegisters.REG_COMP
+
+		let reg0 = this.registers.get(r0)
+		let val0
+
+		if (regMode) {
+			if (c0 == 0b011) {
+				this.registers.set(destReg, this.create(VMInt, reg0.type == VMObject.TYPE_NULL))
+				return false
+			}
+
+			if (c0 == 0b111) {
+				this.registers.set(destReg, this.create(VMInt, reg0.type != VMObject.TYPE_NULL))
+				return false
+			}
+		}
+		
+		if (!VMObject.isTypeNumericOrPtr(reg0.type)) {
+			throw new VMError(`Invalid register type ${VMObject.getTypeName(reg0.type)} for comparison`, VMError.CODE_TYPE)
+		}
+		
+		val0 = reg0.getValue()
+		
+		let reg1
+		let val1
+		
+		if (regMode) {
+			reg1 = this.registers.get(r2)
+			
+			if (!VMObject.isTypeNumericOrPtr(reg1.type)) {
+				throw new VMError(`Invalid register type ${VMObject.getTypeName(reg1.type)} for comparison`, VMError.CODE_TYPE)
+			}
+			
+			if ((reg0.type == VMObject.TYPE_PTR) ^ (reg1.type == VMObject.TYPE_PTR)) {
+				throw new VMError(`Cannot compare ${VMObject.getTypeName(reg0.type)} and ${VMObject.getTypeName(reg1.type)}`, VMError.CODE_TYPE)
+			}
+			
+			val1 = reg1.getValue()
+		} else {
+			if (c0 == 0b100) {
+				this.registers.set(destReg, this.create(VMInt, !val0))
+				return true
+			}
+
+			if (reg0.type == VMObject.TYPE_PTR) {
+				throw new VMError(`Cannot compare ${VMObject.getTypeName(reg0.type)} and immediate`, VMError.CODE_TYPE)
+			}
+			
+			val1 = immSigned
+		}
+		
+		if (reg0.type == VMObject.TYPE_PTR && reg1.type == VMObject.TYPE_PTR && reg0.memory != reg1.memory) {
+			throw new VMError(`Cannot compare pointers to different memory regions`, VMError.CODE_TYPE)
+		}
+		
+		switch (c0) {
+			case 0b000:
+				this.registers.set(destReg, this.create(VMInt, val0 < val1 ? -1 : val0 > val1 ? 1 : 0))
+				return false
+
+			case 0b001:
+				this.registers.set(destReg, this.create(VMInt, val0 == val1))
+				return false
+
+			case 0b010:
+				this.registers.set(destReg, this.create(VMInt, val0 < val1))
+				return false
+
+			case 0b011:
+				this.registers.set(destReg, this.create(VMInt, val0 > val1))
+				return false
+
+			case 0b100:
+				this.registers.set(destReg, this.create(VMInt, reg0 == reg1))
+				return false
+
+			case 0b101:
+				this.registers.set(destReg, this.create(VMInt, val0 != val1))
+				return false
+
+			case 0b110:
+				this.registers.set(destReg, this.create(VMInt, val0 >= val1))
+				return false
+
+			case 0b111:
+				this.registers.set(destReg, this.create(VMInt, val0 <= val1))
+				return false
+		}
+	}
+
+	execCvt(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let regMode = c1 & 0b001
+		
+		if (c0 == VMObject.TYPE_NULL) {
+			this.registers.set(r0, this.create(VMNull))
+			return !regMode
+		}
+		
+		if (regMode) {
+			let srcObj = this.registers.get(r2)
+			
+			if (s) {
+				srcObj = srcObj.reinterpret(r1)
+			}
+			
+			this.registers.set(r0, srcObj.convert(c0))
+		} else {
+			switch (c0) {
+				case VMObject.TYPE_INT:
+					this.registers.set(r0, this.create(VMInt, immSigned))
+					break
+				
+				case VMObject.TYPE_FLOAT:
+					this.registers.set(r0, this.create(VMFloat, immSigned))
+					break
+				
+				case VMObject.TYPE_PTR:
+					this.registers.set(r0, this.create(VMPtr, this.memory, immSigned))
+					break
+				
+				case VMObject.TYPE_EXT:
+					throw new VMError(`Cannot convert object type to external object`, VMError.CODE_TYPE)
+				
+				default:
+					throw new VMError(`Tried to convert to unrecognized type ${VMObject.getTypeName(c0)}`, VMError.CODE_TYPE)
+			}
+		}
+		
+		return false
+	}
+	
+	execNum(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let x = this.registers.get(r1)
+		let y = this.registers.get(r2)
+		
+		let isAddSub = c0 < 0b010
+		let isBitwise = c0 > 0b100
+		
+		// this might be one of the worst lines of code i have written in my life
+		if ((!VMObject.isTypeNumeric(x.type) || !VMObject.isTypeNumeric(y.type) || isBitwise && (x.type != VMObject.TYPE_INT || y.type != VMObject.TYPE_INT)) && !(isAddSub && x.type == VMObject.TYPE_PTR && (y.type == VMObject.TYPE_INT || y.type == VMObject.TYPE_PTR))) {
+			throw new VMError(`Invalid types for numeric operation: ${VMObject.getTypeName(x.type)}, ${VMObject.getTypeName(y.type)}`, VMError.CODE_TYPE)
+		}
+		
+		let v0 = x.getValue()
+		let v1 = y.getValue()
+		
+		let res
+		let makeFloat = false
+		
+		switch (c0) {
+			case 0b000:
+			case 0b001:
+				if (c0 == 0b000) {
+					res = v0 + v1
+				} else {
+					res = v0 - v1
+				}
+				
+				if (s) {
+					if (x.type == VMObject.TYPE_PTR) {
+						throw new VMError(`Tried to store pointer additional result as float`, VMError.CODE_TYPE)
+					}
+					
+					makeFloat = true
+				}
+				
+				break
+
+			case 0b010:
+				res = v0 * v1
+				makeFloat = s
+				break
+
+			case 0b011:
+				res = v0 / v1
+				makeFloat = s
+				break
+
+			case 0b100:
+				res = v0 % v1
+				makeFloat = s
+				break
+
+			case 0b101:
+				res = s ? v0 | v1 : v0 & v1
+				break
+
+			case 0b110:
+				res = s ? ~(v0 ^ v1) : v0 ^ v1
+				break
+
+			case 0b111:
+				res = s ? v0 >> v1 : v0 << v1
+				break
+		}
+		
+		if (makeFloat) {
+			this.registers.set(r0, this.create(VMFloat, res))
+		} else {
+			let obj = x.copy()
+			obj.setValue(res)
+			this.registers.set(r0, obj)
+		}
+		
+		return false
+	}
+
+	execMem(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		let ptr = this.registers.get(r1)
+
+		if (ptr.type != VMObject.TYPE_PTR) {
+			throw new VMError(`Cannot access memory from non-pointer object`, VMError.CODE_TYPE)
+		}
+
+		let offset = this.registers.get(r2)
+
+		if (offset.type != VMObject.TYPE_INT && offset.type != VMObject.TYPE_PTR) {
+			throw new VMError(`Tried to access memory but offset was type ${VMObject.getTypeName(offset.type)}`, VMError.CODE_TYPE)
+		}
+
+		let addr = ptr.getValue() + offset.getValue()
+
+		if (s) {
+			this.writeMemory(addr, this.registers.get(r0))
+		} else {
+			this.registers.set(r0, this.readMemory(addr, c0))
+		}
+
+		return false
+	}
+	
+	execTrap(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		switch (c0) {
+			case 0b000:
+				this.trapHandlers[r0] = imm
+				break
+			
+			case 0b001: {
+				let reg = this.registers.get(r1)
+				
+				if (reg.type != VMObject.TYPE_INT && reg.type != VMObject.TYPE_PTR) {
+					throw new VMError(`Invalid register type ${VMObject.getTypeName(reg.type)} for trap handler`, VMError.CODE_TYPE)
+				}
+				
+				this.trapHandlers[r0] = reg.getValue()
+				break
+			}
+			
+			case 0b010:
+				delete this.trapHandlers[r0]
+				break
+			
+			default:
+				throw new VMError(`Invalid trap instruction`, VMError.CODE_INSTRUCTION)
+		}
+		
+		return false
+	}
+	
+	execSys(s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned) {
+		if (!s && (c0 & 0b001)) {
+			let reg = this.registers.get(r0)
+			console.log(`${VMObject.getTypeName(reg.type)} ${reg.getValue()}`)
+			return false
+		}
+
+		let entries = Object.entries(VMRegisters.REGISTER_NAMES)
+		let sp = this.registers.getPointer(VMRegisters.REG_SP)
+		
+		console.log([
+			`call stack: ${this.callStack.slice(0, this.csp.getValue())}`,
+			`registers:`,
+			...this.registers.registers.map((e, i) => this.registers.peek(i)).map((e, i) => `- $${entries.find((e) => e[1] == i)?.[0] ?? i}: ${VMObject.getTypeName(e.type)} ${e.getValue()}`),
+			`stack:`,
+			...this.stack.slice(Math.max(0, sp - 16), sp).reverse().map((e, i) => `- ${VMObject.getTypeName(e.type)} ${e.getValue()}`)
+		].join("\n"))
+		
+		
+		if (s) {
+			this.pause("break")
+		}
+		
+		return false
+	}
+}
+
+class VMCompiledBlock {
+	constructor(start, length, func) {
+		this.start = start
+		this.length = length
+		this.func = func
+		this.invalid = false
+	}
+}
+
+// turns straight-line runs of bytecode into js functions, used by runUntil when compilerEnabled is set
+class VMCompiler {
+	static MAX_BLOCK_LENGTH = 64
+	
+	// instructions after which the block has to check whether it overwrote itself
+	static MAY_WRITE_MEMORY = [VM.INSTR_CLASS_ENV, VM.INSTR_CLASS_MEM]
+	
+	// instructions that end a block after executing
+	static TERMINATORS = [VM.INSTR_CLASS_EXIT, VM.INSTR_CLASS_RET, VM.INSTR_CLASS_B]
+	
+	constructor(vm) {
+		this.vm = vm
+		
+		this.blocks = new Map()
+		this.owners = new Map()
+	}
+	
+	canCompile(decoded) {
+		let instrClass = decoded.instr >>> 28
+		return decoded.exec != null && instrClass != VM.INSTR_CLASS_SYS
+	}
+	
+	invalidate(addr) {
+		let starts = this.owners.get(addr)
+		
+		if (!starts) {
+			return
+		}
+		
+		for (let start of starts) {
+			let block = this.blocks.get(start)
+			this.blocks.delete(start)
+			
+			if (block) {
+				block.invalid = true
+				
+				for (let i = 0; i < block.length; i++) {
+					this.owners.get(start + i)?.delete(start)
+				}
+			}
+		}
+		
+		this.owners.delete(addr)
+	}
+	
+	clear() {
+		for (let block of this.blocks.values()) {
+			if (block) {
+				block.invalid = true
+			}
+		}
+		
+		this.blocks.clear()
+		this.owners.clear()
+	}
+	
+	getBlock(start) {
+		let block = this.blocks.get(start)
+		
+		if (block === undefined) {
+			block = this.compile(start)
+			this.blocks.set(start, block)
+			
+			for (let i = 0; i < (block?.length ?? 1); i++) {
+				if (!this.owners.has(start + i)) {
+					this.owners.set(start + i, new Set())
+				}
+				
+				this.owners.get(start + i).add(start)
+			}
+		}
+		
+		return block
+	}
+	
+	compileInstruction(decoded, addr) {
+		let { s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned } = decoded
+		let instrClass = decoded.instr >>> 28
+		let args = [s, r0, r1, r2, c0, c1, c2, c3, imm, immSigned].join(", ")
+		
+		let lines = [`regs.pointers[${VMRegisters.REG_PC}] = ${addr}`, `regs.registers[${VMRegisters.REG_PC}] = null`]
+		
+		// the common cases are written out directly, everything else goes through the same exec method the interpreter uses
+		if (instrClass == VM.INSTR_CLASS_PUSH && !(c0 & 0b001)) {
+			lines.push(`vm.stackPush(vm.create(VMInt, ${immSigned}))`)
+		} else if (instrClass == VM.INSTR_CLASS_PUSH) {
+			lines.push(`vm.stackPush(regs.get(${r0}))`)
+			
+			if (s) {
+				lines.push(`vm.irsPush(${immSigned})`)
+			}
+		} else if (instrClass == VM.INSTR_CLASS_POP && !(c0 & 0b001)) {
+			lines.push(`regs.set(${r0}, vm.stackPop())`)
+			
+			if (s) {
+				lines.push(`vm.irsPush(${immSigned})`)
+			}
+		} else if (instrClass == VM.INSTR_CLASS_CVT && !(c1 & 0b001) && c0 <= VMObject.TYPE_PTR) {
+			let create = {
+				[VMObject.TYPE_NULL]:  `vm.create(VMNull)`,
+				[VMObject.TYPE_INT]:   `vm.create(VMInt, ${immSigned})`,
+				[VMObject.TYPE_FLOAT]: `vm.create(VMFloat, ${immSigned})`,
+				[VMObject.TYPE_PTR]:   `vm.create(VMPtr, vm.memory, ${immSigned})`
+			}[c0]
+			
+			lines.push(`regs.set(${r0}, ${create})`)
+			
+			if (s && c0 == VMObject.TYPE_NULL) {
+				lines.push(`vm.irsPush(${immSigned})`)
+			}
+		} else if (s) {
+			lines.push(`if (vm.${VM.INSTR_CLASS_EXECS[instrClass]}(${args})) vm.irsPush(${immSigned})`)
+		} else {
+			lines.push(`vm.${VM.INSTR_CLASS_EXECS[instrClass]}(${args})`)
+		}
+		
+		lines.push(`vm.cycles++`)
+		lines.push(`executed++`)
+		
+		if (VMCompiler.MAY_WRITE_MEMORY.includes(instrClass)) {
+			lines.push(`if (block.invalid) { regs.pointers[${VMRegisters.REG_PC}] = ${addr + 1}; regs.registers[${VMRegisters.REG_PC}] = null; return executed }`)
+		}
+		
+		return lines
+	}
+	
+	compile(start) {
+		let lines = []
+		let length = 0
+		
+		for (let addr = start; length < VMCompiler.MAX_BLOCK_LENGTH; addr++) {
+			let decoded
+			
+			try {
+				decoded = this.vm.fetch(addr)
+			} catch (err) {
+				break
+			}
+			
+			if (!this.canCompile(decoded)) {
+				break
+			}
+			
+			lines.push(...this.compileInstruction(decoded, addr))
+			length++
+			
+			if (VMCompiler.TERMINATORS.includes(decoded.instr >>> 28)) {
+				break
+			}
+		}
+		
+		if (length == 0) {
+			return null
+		}
+		
+		let end = start + length
+		
+		let code = [
+			`return function block_${start.toString(16)}(vm, block) {`,
+			`let regs = vm.registers`,
+			`let executed = 0`,
+			`try {`,
+			...lines,
+			`} catch (err) {`,
+			`if (!(err instanceof VMError)) throw err`,
+			`vm.branching = false`,
+			`vm.trap(err)`,
+			`return executed + 1`,
+			`}`,
+			`if (!vm.branching) { regs.pointers[${VMRegisters.REG_PC}] = ${end}; regs.registers[${VMRegisters.REG_PC}] = null }`,
+			`vm.branching = false`,
+			`return executed`,
+			`}`
+		].join("\n")
+		
+		let func = new Function("VMError", "VMNull", "VMInt", "VMFloat", "VMPtr", code)(VMError, VMNull, VMInt, VMFloat, VMPtr)
+		return new VMCompiledBlock(start, length, func)
+	}
+	
+	// runs the block at $PC if nothing could need to stop it partway, returning how many instructions were run
+	run(maxSteps) {
+		let vm = this.vm
+		let start = vm.registers.getPointer(VMRegisters.REG_PC)
+		let block = this.getBlock(start)
+		
+		if (!block || block.length > maxSteps || vm.cycles + block.length > vm.cycleLimit) {
+			return 0
+		}
+		
+		for (let addr of vm.breakpoints) {
+			if (addr > start && addr < start + block.length) {
+				return 0
+			}
+		}
+		
+		vm.skipBreakpoint = false
+		return block.func(vm, block)
+	}
+}
+
+class VMSourceLocation {
+	constructor(file, line, column, lineText = null, expansion = []) {
+		this.file = file
+		this.line = line
+		this.column = column
+		this.lineText = lineText
+		
+		// macros this location was expanded from, innermost first
+		this.expansion = expansion
+	}
+	
+	expand(name, definition) {
+		return new VMSourceLocation(this.file, this.line, this.column, this.lineText, [{ name, definition }, ...this.expansion])
+	}
+	
+	toString() {
+		let str = `${this.file}:${this.line}:${this.column}`
+		
+		for (let i = 0; i < this.expansion.length; i++) {
+			let { name, definition } = this.expansion[i]
+			let repeats = 1
+			
+			// recursive macros would otherwise repeat the same entry over and over
+			while (this.expansion[i + repeats]?.name == name && this.expansion[i + repeats].definition.line == definition.line && this.expansion[i + repeats].definition.file == definition.file) {
+				repeats++
+			}
+			
+			str += `, in macro ${name} (${definition.file}:${definition.line})` + (repeats > 1 ? ` ${repeats} times` : "")
+			i += repeats - 1
+		}
+		
+		return str
+	}
+}
+
+// source text that remembers where each of its characters originally came from
+class VMSourceText {
+	static escapeRegExp(str) {
+		return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+	}
+	
+	static fromString(text, file) {
+		let lines = text.split("\n")
+		let locations = []
+		let line = 1
+		let column = 1
+		
+		for (let i = 0; i < text.length; i++) {
+			locations.push(new VMSourceLocation(file, line, column, lines[line - 1]))
+			
+			if (text[i] == "\n") {
+				line++
+				column = 1
+			} else {
+				column++
+			}
+		}
+		
+		return new VMSourceText(text, locations)
+	}
+	
+	constructor(text, locations) {
+		this.text = text
+		this.locations = locations
+	}
+	
+	// like String.prototype.replace with a global regex, but the replacement gets the location locate() gives for the start of the match
+	// (unless it is left unchanged, in which case it keeps its own locations)
+	replace(regex, func, locate = (location) => location) {
+		let text = ""
+		let locations = []
+		let last = 0
+		
+		for (let match of this.text.matchAll(regex)) {
+			let str = func(...match)
+			let location = locate(this.locations[match.index], match)
+			
+			text += this.text.slice(last, match.index) + str
+			
+			for (let i = last; i < match.index; i++) {
+				locations.push(this.locations[i])
+			}
+			
+			for (let i = 0; i < str.length; i++) {
+				locations.push(str === match[0] ? this.locations[match.index + i] : location)
+			}
+			
+			last = match.index + match[0].length
+		}
+		
+		text += this.text.slice(last)
+		
+		for (let i = last; i < this.text.length; i++) {
+			locations.push(this.locations[i])
+		}
+		
+		return new VMSourceText(text, locations)
+	}
+}
+
+class VMAssemblerError extends Error {
+	static format(message, location) {
+		if (!location) {
+			return message
+		}
+		
+		let str = `${location}: ${message}`
+		
+		if (location.lineText != null) {
+			// keep tabs so the caret lines up with the excerpt
+			let indent = location.lineText.slice(0, location.column - 1).replace(/[^\t]/g, " ")
+			str += `\n\t${location.lineText}\n\t${indent}^`
+		}
+		
+		return str
+	}
+	
+	// throws all of the collected errors at once
+	static throwAll(errors) {
+		if (errors.length == 1) {
+			throw errors[0]
+		}
+		
+		if (errors.length > 1) {
+			let err = new VMAssemblerError(`${errors.length} errors:\n\n${errors.map((e) => e.message).join("\n\n")}`)
+			err.errors = errors
+			throw err
+		}
+	}
+	
+	constructor(message, location = null, ...params) {
+		super(VMAssemblerError.format(message, location), ...params)
+		
+		this.name = this.constructor.name
+		this.reason = message
+		this.location = location
+		this.errors = [this]
+	}
+}
+
+// integer expressions in operands, made of number, symbol, label, unary and binary nodes
+class VMExpression {
+	// binding power of each binary operator, same order as in C
+	static BINARY_OPS = {
+		"||": 1,
+		"&&": 2,
+		"|":  3,
+		"^":  4,
+		"&":  5,
+		"==": 6,
+		"!=": 6,
+		"<":  7,
+		">":  7,
+		"<=": 7,
+		">=": 7,
+		"<<": 8,
+		">>": 8,
+		"+":  9,
+		"-":  9,
+		"*":  10,
+		"/":  10,
+		"%":  10
+	}
+	
+	static UNARY_OPS = ["-", "+", "~", "!"]
+	
+	static apply(op, a, b, location = null) {
+		switch (op) {
+			// comparisons and logical ops give 1 or 0 like in C
+			case "||": return +(a != 0 || b != 0)
+			case "&&": return +(a != 0 && b != 0)
+			case "==": return +(a == b)
+			case "!=": return +(a != b)
+			case "<":  return +(a < b)
+			case ">":  return +(a > b)
+			case "<=": return +(a <= b)
+			case ">=": return +(a >= b)
+			case "|":  return a | b
+			case "^":  return a ^ b
+			case "&":  return a & b
+			case "<<": return a << b
+			case ">>": return a >> b
+			case "+":  return a + b
+			case "-":  return a - b
+			case "*":  return a * b
+			
+			case "/":
+			case "%":
+				if (b == 0) {
+					throw new VMAssemblerError(`Division by zero in expression`, location)
+				}
+				
+				return op == "/" ? Math.trunc(a / b) : a % b
+		}
+	}
+	
+	// the halves li and la split a 32-bit value into, the low one is sign extended so the high one makes up for it
+	static half(part, value) {
+		let lo = (value << 16) >> 16
+		return part == "lo" ? lo : ((value - lo) | 0) >> 16
+	}
+	
+	// label(name, relative) has to return the value of a label reference
+	static evaluate(node, label, location = null) {
+		switch (node.type) {
+			// arithmetic is exact so that range checks can see the real value, bitwise ops work on 32 bits like in js
+			case "number":
+				if (!Number.isInteger(node.value)) {
+					throw new VMAssemblerError(`Expected an integer, got ${node.value}`, location)
+				}
+				
+				return node.value
+			
+			case "label":
+				return label(node.name, node.relative)
+			
+			case "unary": {
+				let value = VMExpression.evaluate(node.operand, label, location)
+				return node.op == "-" ? -value : node.op == "~" ? ~value : node.op == "!" ? +(value == 0) : value
+			}
+			
+			case "binary":
+				return VMExpression.apply(node.op, VMExpression.evaluate(node.left, label, location), VMExpression.evaluate(node.right, label, location), location)
+			
+			case "half":
+				return VMExpression.half(node.part, VMExpression.evaluate(node.operand, label, location))
+			
+			default:
+				throw new VMAssemblerError(`Can't evaluate expression node of type ${node.type}`, location)
+		}
+	}
+	
+	// plain (optionally signed) numbers keep their exact value, for things like floats that aren't integer expressions
+	static literalValue(node) {
+		if (node.type == "number") {
+			return node.value
+		}
+		
+		if (node.type == "unary" && node.operand.type == "number" && (node.op == "-" || node.op == "+")) {
+			return node.op == "-" ? -node.operand.value : node.operand.value
+		}
+		
+		return null
+	}
+	
+	static isConstant(node) {
+		switch (node.type) {
+			case "number":
+				return true
+			
+			case "unary":
+			case "half":
+				return VMExpression.isConstant(node.operand)
+			
+			case "binary":
+				return VMExpression.isConstant(node.left) && VMExpression.isConstant(node.right)
+			
+			default:
+				return false
+		}
+	}
+	
+	// replaces symbol (or label) nodes using lookup(name, node), which returns the expression to use instead
+	static substitute(node, lookup, type = "symbol") {
+		switch (node.type) {
+			case type:
+				return lookup(node.name, node)
+			
+			case "unary":
+				return { type: "unary", op: node.op, operand: VMExpression.substitute(node.operand, lookup, type) }
+			
+			case "binary":
+				return { type: "binary", op: node.op, left: VMExpression.substitute(node.left, lookup, type), right: VMExpression.substitute(node.right, lookup, type) }
+			
+			case "half":
+				return { type: "half", part: node.part, operand: VMExpression.substitute(node.operand, lookup, type) }
+			
+			default:
+				return node
+		}
+	}
+	
+	static format(node) {
+		switch (node.type) {
+			case "number":
+				return String(node.value)
+			
+			case "symbol":
+				return node.name
+			
+			case "label":
+				return (node.relative ? "^" : "&") + node.name
+			
+			case "unary": {
+				let operand = VMExpression.format(node.operand)
+				return node.op + (node.operand.type == "binary" ? `(${operand})` : operand)
+			}
+			
+			case "binary": {
+				let left = VMExpression.format(node.left)
+				let right = VMExpression.format(node.right)
+				
+				return `${node.left.type == "binary" ? `(${left})` : left}${node.op}${node.right.type == "binary" ? `(${right})` : right}`
+			}
+			
+			case "half":
+				return `%${node.part}(${VMExpression.format(node.operand)})`
+		}
+	}
+}
+
+class VMAssemblerToken {
+	constructor(type, text, location) {
+		this.type = type
+		this.text = text
+		this.location = location
+	}
+	
+	describe() {
+		return this.type == "newline" ? "end of line" : this.type == "eof" ? "end of input" : `"${this.text}"`
+	}
+}
+
+class VMAssemblerLexer {
+	// tried in order, so F# has to come before identifiers
+	static TOKEN_TYPES = [
+		["newline",    /[\n;]/y],
+		["whitespace", /[^\S\n]+/y],
+		["string",     /"(?:[^"\\\n]|\\.)*"/y],
+		["char",       /'(?:[^'\\\n]|\\.)*'/y],
+		["param",      /\\(?:\w+|@)/y],
+		["punct",      /F#|<<|>>|<=|>=|==|!=|&&|\|\||[,:&^#$+\-*\/%|~()\[\]<>!=]/y],
+		["number",     /\d[\w.]*/y],
+		["identifier", /[A-Za-z_.][\w.]*/y]
+	]
+	
+	constructor(source) {
+		this.source = source
+		this.errors = []
+	}
+	
+	tokenize() {
+		let text = this.source.text
+		let tokens = []
+		let i = 0
+		
+		outer: while (i < text.length) {
+			for (let [type, regex] of VMAssemblerLexer.TOKEN_TYPES) {
+				regex.lastIndex = i
+				let match = regex.exec(text)
+				
+				if (match) {
+					if (type != "whitespace") {
+						tokens.push(new VMAssemblerToken(type, match[0], this.source.locations[i]))
+					}
+					
+					i += match[0].length
+					continue outer
+				}
+			}
+			
+			if (text[i] == "\"") {
+				this.errors.push(new VMAssemblerError(`Unterminated string`, this.source.locations[i]))
+				i = text.indexOf("\n", i) == -1 ? text.length : text.indexOf("\n", i)
+			} else {
+				this.errors.push(new VMAssemblerError(`Unexpected character "${text[i]}"`, this.source.locations[i]))
+				i++
+			}
+		}
+		
+		tokens.push(new VMAssemblerToken("eof", "", this.source.locations[text.length - 1] ?? null))
+		return tokens
+	}
+}
+
+// turns tokens into label, instruction and directive statements, macro and .rept bodies are kept as tokens
+class VMAssemblerParser {
+	// directives that still get parsed in skipped .if blocks, so that nesting is tracked
+	static CONDITIONALS = [".if", ".ifdef", ".ifndef", ".elif", ".else", ".endif"]
+	
+	static BLOCKS = {
+		".macro": ".endm",
+		".rept":  ".endr"
+	}
+	
+	constructor(tokens, macros = new Map()) {
+		this.tokens = tokens
+		this.pos = 0
+		this.errors = []
+		this.macros = macros
+		
+		// set by the assembler while inside a false .if
+		this.skipping = false
+		
+		// statements parsed from the same line that haven't been returned yet
+		this.pending = []
+	}
+	
+	peek(offset = 0) {
+		return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)]
+	}
+	
+	next() {
+		let token = this.peek()
+		
+		if (token.type != "eof") {
+			this.pos++
+		}
+		
+		return token
+	}
+	
+	accept(type, text) {
+		let token = this.peek()
+		
+		if (token.type == type && (text == undefined || token.text == text)) {
+			return this.next()
+		}
+		
+		return null
+	}
+	
+	expect(type, text, what) {
+		let token = this.accept(type, text)
+		
+		if (!token) {
+			throw new VMAssemblerError(`Expected ${what}, got ${this.peek().describe()}`, this.peek().location)
+		}
+		
+		return token
+	}
+	
+	atStatementEnd() {
+		let type = this.peek().type
+		return type == "newline" || type == "eof"
+	}
+	
+	parse() {
+		let statements = []
+		let stmt
+		
+		while ((stmt = this.nextStatement())) {
+			statements.push(stmt)
+		}
+		
+		return statements
+	}
+	
+	// statements are parsed one at a time, so that macro expansions can be inserted before the rest of the input
+	nextStatement() {
+		while (!this.pending.length) {
+			if (this.peek().type == "eof") {
+				return null
+			}
+			
+			if (this.accept("newline")) {
+				continue
+			}
+			
+			try {
+				if (this.skipping && !VMAssemblerParser.CONDITIONALS.includes(this.peek().text)) {
+					this.skipStatement()
+				} else {
+					this.parseStatement(this.pending)
+				}
+			} catch (err) {
+				if (!(err instanceof VMAssemblerError)) {
+					throw err
+				}
+				
+				this.errors.push(err)
+				this.skipStatement()
+			}
+		}
+		
+		return this.pending.shift()
+	}
+	
+	skipStatement() {
+		while (!this.atStatementEnd()) {
+			this.next()
+		}
+	}
+	
+	insert(tokens) {
+		this.tokens.splice(this.pos, 0, ...tokens)
+	}
+	
+	parseStatement(statements) {
+		let token = this.expect("identifier", undefined, "instruction, directive or label")
+		
+		if (this.accept("punct", ":")) {
+			statements.push({ type: "label", name: token.text, location: token.location })
+			
+			if (!this.atStatementEnd()) {
+				this.parseStatement(statements)
+			}
+			
+			return
+		}
+		
+		if (token.text == ".macro") {
+			statements.push(this.parseMacro(token))
+			return
+		}
+		
+		if (token.text == ".rept") {
+			let count = this.parseOperand()
+			this.expectStatementEnd()
+			statements.push({ type: "rept", count, body: this.captureBlock(token), location: token.location })
+			return
+		}
+		
+		if (Object.values(VMAssemblerParser.BLOCKS).includes(token.text)) {
+			throw new VMAssemblerError(`Unexpected ${token.text} without a matching block`, token.location)
+		}
+		
+		if (this.macros.has(token.text)) {
+			statements.push({ type: "invoke", name: token.text, args: this.parseArguments(), location: token.location })
+			return
+		}
+		
+		if (token.text == ".extern" && this.peek(1).type == "punct" && this.peek(1).text == "=") {
+			statements.push(this.parseForeign())
+			return
+		}
+		
+		let operands = this.parseOperands()
+		
+		if (token.text.startsWith(".")) {
+			statements.push({ type: "directive", name: token.text.slice(1), operands, location: token.location })
+		} else {
+			statements.push({ type: "instruction", mnemonic: token.text, operands, location: token.location })
+		}
+	}
+	
+	parseOperands() {
+		let operands = []
+		
+		if (this.atStatementEnd()) {
+			return operands
+		}
+		
+		do {
+			operands.push(this.parseOperand())
+		} while (this.accept("punct", ","))
+		
+		this.expectStatementEnd()
+		return operands
+	}
+	
+	expectStatementEnd() {
+		if (!this.atStatementEnd()) {
+			throw new VMAssemblerError(`Expected "," or end of line, got ${this.peek().describe()}`, this.peek().location)
+		}
+	}
+	
+	// .macro name param, param = default, ...
+	parseMacro(token) {
+		let name = this.expect("identifier", undefined, "macro name")
+		let params = []
+		
+		if (!this.atStatementEnd()) {
+			do {
+				let param = this.expect("identifier", undefined, "parameter name")
+				params.push({ name: param.text, default: this.accept("punct", "=") ? this.captureArgument() : null, location: param.location })
+			} while (this.accept("punct", ","))
+		}
+		
+		this.expectStatementEnd()
+		return { type: "macro", name: name.text, params, body: this.captureBlock(token), location: name.location }
+	}
+	
+	// .extern name = path (type, ...) -> type, or .extern name = path -> type for a property
+	parseForeign() {
+		let name = this.expect("identifier", undefined, "function name")
+		let params = null
+		
+		this.expect("punct", "=", "\"=\"")
+		let path = this.expect("identifier", undefined, "path of the function")
+		
+		if (this.accept("punct", "(")) {
+			params = []
+			
+			if (!this.accept("punct", ")")) {
+				do {
+					params.push(this.parseForeignType("parameter type"))
+				} while (this.accept("punct", ","))
+				
+				this.expect("punct", ")", "\")\" after the parameter types")
+			}
+		}
+		
+		this.expect("punct", "-", "\"->\" before the return type")
+		this.expect("punct", ">", "\"->\" before the return type")
+		
+		let result = this.parseForeignType("return type")
+		this.expectStatementEnd()
+		
+		return { type: "foreign", name: name.text, path: path.text, params, result: result.type, location: name.location }
+	}
+	
+	// array types are written as type[]
+	parseForeignType(what) {
+		let token = this.expect("identifier", undefined, what)
+		let type = token.text
+		
+		if (this.accept("punct", "[")) {
+			this.expect("punct", "]", "\"]\" after \"[\"")
+			type += "[]"
+		}
+		
+		return { type, location: token.location }
+	}
+	
+	// arguments are kept as tokens and can be given by position or as name = value
+	parseArguments() {
+		let args = []
+		
+		if (this.atStatementEnd()) {
+			return args
+		}
+		
+		do {
+			let name = null
+			let location = this.peek().location
+			
+			if (this.peek().type == "identifier" && this.peek(1).type == "punct" && this.peek(1).text == "=") {
+				name = this.next().text
+				this.next()
+			}
+			
+			args.push({ name, tokens: this.captureArgument(), location })
+		} while (this.accept("punct", ","))
+		
+		this.expectStatementEnd()
+		return args
+	}
+	
+	captureArgument() {
+		let tokens = []
+		let depth = 0
+		
+		while (!this.atStatementEnd()) {
+			let token = this.peek()
+			
+			if (token.type == "punct") {
+				if (token.text == "," && depth == 0) {
+					break
+				}
+				
+				depth += token.text == "(" ? 1 : token.text == ")" ? -1 : 0
+			}
+			
+			tokens.push(this.next())
+		}
+		
+		return tokens
+	}
+	
+	// everything up to the matching end directive, which has to start a line, including the newline before the first line
+	captureBlock(start) {
+		let end = VMAssemblerParser.BLOCKS[start.text]
+		let tokens = []
+		let depth = 0
+		let lineStart = false
+		
+		while (true) {
+			let token = this.next()
+			
+			if (token.type == "eof") {
+				throw new VMAssemblerError(`Unterminated ${start.text}, expected ${end}`, start.location)
+			}
+			
+			if (lineStart && token.type == "identifier") {
+				if (token.text == end && depth-- == 0) {
+					this.expectStatementEnd()
+					return tokens
+				}
+				
+				if (token.text == start.text) {
+					depth++
+				}
+			}
+			
+			lineStart = token.type == "newline"
+			tokens.push(token)
+		}
+	}
+	
+	parseNumber() {
+		let sign = this.accept("punct", "-") ? -1 : (this.accept("punct", "+"), 1)
+		let token = this.expect("number", undefined, "number")
+		let value = Number(token.text)
+		
+		if (Number.isNaN(value)) {
+			throw new VMAssemblerError(`Invalid number "${token.text}"`, token.location)
+		}
+		
+		return sign * value
+	}
+	
+	parseOperand() {
+		let token = this.peek()
+		let location = token.location
+		
+		if (token.type == "string") {
+			this.next()
+			
+			try {
+				return { type: "string", value: JSON.parse(token.text), location }
+			} catch (err) {
+				throw new VMAssemblerError(`Invalid string ${token.text}`, location)
+			}
+		}
+		
+		if (token.type == "punct") {
+			switch (token.text) {
+				case "$": {
+					this.next()
+					let name = this.accept("number") ?? this.expect("identifier", undefined, "register name")
+					return { type: "register", name: name.text, location }
+				}
+				
+				case "#":
+					this.next()
+					return { type: "immediate", expr: this.parseExpression(), location }
+				
+				case "F#":
+					this.next()
+					return { type: "float", value: this.parseNumber(), location }
+				
+				// label references are immediates even without a #
+				case "&":
+				case "^":
+					return { type: "immediate", expr: this.parseExpression(), location }
+			}
+		}
+		
+		return { type: "number", expr: this.parseExpression(), location }
+	}
+	
+	parseExpression(minPower = 0) {
+		let left = this.parsePrimary()
+		
+		while (true) {
+			let token = this.peek()
+			let power = token.type == "punct" ? VMExpression.BINARY_OPS[token.text] : undefined
+			
+			if (power == undefined || power <= minPower) {
+				return left
+			}
+			
+			this.next()
+			left = { type: "binary", op: token.text, left, right: this.parseExpression(power) }
+		}
+	}
+	
+	parsePrimary() {
+		let token = this.next()
+		
+		switch (token.type) {
+			case "number": {
+				let value = Number(token.text)
+				
+				if (Number.isNaN(value)) {
+					throw new VMAssemblerError(`Invalid number "${token.text}"`, token.location)
+				}
+				
+				return { type: "number", value }
+			}
+			
+			case "char": {
+				let str
+				
+				try {
+					str = JSON.parse(`"${token.text.slice(1, -1).replaceAll("\\'", "'").replaceAll("\"", "\\\"").replaceAll("\\0", "\\u0000")}"`)
+				} catch (err) {
+					str = ""
+				}
+				
+				if ([...str].length != 1) {
+					throw new VMAssemblerError(`Invalid character literal ${token.text}`, token.location)
+				}
+				
+				return { type: "number", value: str.codePointAt(0) }
+			}
+			
+			case "identifier":
+				return { type: "symbol", name: token.text, location: token.location }
+			
+			case "punct":
+				if (token.text == "(") {
+					let expr = this.parseExpression()
+					this.expect("punct", ")", "\")\"")
+					return expr
+				}
+				
+				if (VMExpression.UNARY_OPS.includes(token.text)) {
+					return { type: "unary", op: token.text, operand: this.parsePrimary() }
+				}
+				
+				if (token.text == "&" || token.text == "^") {
+					return { type: "label", name: this.expect("identifier", undefined, "label name").text, relative: token.text == "^" }
+				}
+				
+				// %hi(expr) and %lo(expr)
+				if (token.text == "%") {
+					let part = this.expect("identifier", undefined, "\"hi\" or \"lo\"")
+					
+					if (part.text != "hi" && part.text != "lo") {
+						throw new VMAssemblerError(`Expected "hi" or "lo", got ${part.describe()}`, part.location)
+					}
+					
+					this.expect("punct", "(", "\"(\"")
+					let operand = this.parseExpression()
+					this.expect("punct", ")", "\")\"")
+					
+					return { type: "half", part: part.text, operand }
+				}
+		}
+		
+		throw new VMAssemblerError(`Expected expression, got ${token.describe()}`, token.location)
+	}
+}
+
+// growable buffer of big endian values, for building binary files
+class VMBinaryWriter {
+	constructor(vm) {
+		this.vm = vm
+		this.bytes = new Uint8Array(256)
+		this.view = new DataView(this.bytes.buffer)
+		this.length = 0
+	}
+	
+	// makes room for size more bytes and returns where they start, which can replace bytes and view
+	reserve(size) {
+		if (this.length + size > this.bytes.length) {
+			let bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size))
+			bytes.set(this.bytes)
+			
+			this.bytes = bytes
+			this.view = new DataView(bytes.buffer)
+		}
+		
+		let offset = this.length
+		this.length += size
+		return offset
+	}
+	
+	writeUint8(num) {
+		let offset = this.reserve(1)
+		this.view.setUint8(offset, num)
+	}
+	
+	writeUint16(num) {
+		let offset = this.reserve(2)
+		this.view.setUint16(offset, num)
+	}
+	
+	writeUint32(num) {
+		let offset = this.reserve(4)
+		this.view.setUint32(offset, num)
+	}
+	
+	writeInt32(num) {
+		let offset = this.reserve(4)
+		this.view.setInt32(offset, num)
+	}
+	
+	writeFloat64(num) {
+		let offset = this.reserve(8)
+		this.view.setFloat64(offset, num)
+	}
+	
+	writeBytes(bytes) {
+		let offset = this.reserve(bytes.length)
+		this.bytes.set(bytes, offset)
+	}
+	
+	writeString(str) {
+		let bytes = this.vm.textEncoder.encode(str)
+		this.writeUint32(bytes.length)
+		this.writeBytes(bytes)
+	}
+	
+	finish() {
+		return this.bytes.slice(0, this.length)
+	}
+}
+
+// reads back what VMBinaryWriter wrote, name is what the errors call the data
+class VMBinaryReader {
+	constructor(vm, bytes, name) {
+		this.vm = vm
+		this.bytes = bytes
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+		this.offset = 0
+		this.name = name
+	}
+	
+	// skips size bytes and returns where they start
+	take(size) {
+		if (this.offset + size > this.bytes.length) {
+			throw new VMError(`${this.name} is truncated, tried to read ${size} bytes at offset ${this.offset} but it is only ${this.bytes.length} bytes long`)
+		}
+		
+		let offset = this.offset
+		this.offset += size
+		return offset
+	}
+	
+	readUint8() {
+		return this.view.getUint8(this.take(1))
+	}
+	
+	readUint16() {
+		return this.view.getUint16(this.take(2))
+	}
+	
+	readUint32() {
+		return this.view.getUint32(this.take(4))
+	}
+	
+	readInt32() {
+		return this.view.getInt32(this.take(4))
+	}
+	
+	readFloat64() {
+		return this.view.getFloat64(this.take(8))
+	}
+	
+	readBytes(size) {
+		let offset = this.take(size)
+		return this.bytes.subarray(offset, offset + size)
+	}
+	
+	readString() {
+		let bytes = this.readBytes(this.readUint32())
+		
+		try {
+			return this.vm.textDecoder.decode(bytes)
+		} catch (err) {
+			throw new VMError(`${this.name} has a string that isn't valid UTF-8`)
+		}
+	}
+	
+	// an index into table, which is named what in the error
+	readIndex(table, what) {
+		let index = this.readUint32()
+		
+		if (index >= table.length) {
+			throw new VMError(`${this.name} refers to ${what} ${index}, but only has ${table.length}`)
+		}
+		
+		return table[index]
+	}
+	
+	// one byte that picks one of values
+	readEnum(values, what) {
+		let index = this.readUint8()
+		
+		if (index >= values.length) {
+			throw new VMError(`${this.name} has an unknown ${what} ${index}`)
+		}
+		
+		return values[index]
+	}
+	
+	expectEnd() {
+		if (this.offset != this.bytes.length) {
+			throw new VMError(`${this.name} has ${this.bytes.length - this.offset} bytes left over at the end`)
+		}
+	}
+}
+
+class VMBytecodeRelocation {
+	// imm is the signed 16-bit immediate of an instruction and uimm an unsigned one, word a whole data word
+	// hi and lo are the halves of a 32-bit value, as split by VMExpression.half
+	static TYPES = ["imm", "word", "hi", "lo", "uimm"]
+	
+	constructor(rel, addr, label, location = null, expr = null, type = "imm") {
+		this.rel = rel
+		this.addr = addr
+		this.label = label
+		this.location = location
+		
+		// label arithmetic is kept as an expression and worked out by the linker
+		this.expr = expr
+		
+		this.type = type
+	}
+	
+	describe() {
+		return this.expr ? VMExpression.format(this.expr) : (this.rel ? "^" : "&") + this.label
+	}
+	
+	// returns word with the value written into it, as long as it fits
+	relocate(word, value) {
+		if (value < -0x80000000 || value > 0xFFFFFFFF) {
+			throw new VMAssemblerError(`Value ${value} of ${this.describe()} doesn't fit in 32 bits`, this.location)
+		}
+		
+		switch (this.type) {
+			case "word":
+				return value | 0
+			
+			case "hi":
+			case "lo":
+				return (word & ~0xFFFF) | (VMExpression.half(this.type, value) & 0xFFFF)
+			
+			case "uimm":
+				if (value < 0 || value > 0xFFFF) {
+					throw new VMAssemblerError(`Value ${value} of ${this.describe()} doesn't fit in an unsigned 16-bit immediate`, this.location)
+				}
+				
+				return (word & ~0xFFFF) | value
+			
+			default:
+				if (value < -0x8000 || value > 0x7FFF) {
+					throw new VMAssemblerError(`Value ${value} of ${this.describe()} doesn't fit in a signed 16-bit immediate` + (this.rel ? "" : ", la or %hi/%lo can load it instead"), this.location)
+				}
+				
+				return (word & ~0xFFFF) | (value & 0xFFFF)
+		}
+	}
+}
+
+// the section objects assembled from one source share a unit, which is the scope of their local labels
+class VMBytecodeUnit {
+	static BINDINGS = ["global", "weak", "local", "extern"]
+	
+	constructor(file, bindings = {}) {
+		this.file = file
+		
+		// "global", "weak", "local" or "extern" for each declared name, labels that aren't declared are local
+		this.bindings = bindings
+	}
+}
+
+class VMBytecodeObject {
+	// in the order the linker lays them out
+	static SECTIONS = ["text", "rodata", "data", "bss"]
+	
+	// object files start with the magic, the version, the flags, the length of the rest of the file and its checksum
+	// then come the string, unit, location and section tables, index 0 of each table but the last one stands for null
+	static FILE_MAGIC = "VMBO"
+	static FILE_VERSION = 1
+	static FILE_DEBUG = 1 << 0
+	
+	// what the node type of an expression is stored as, 0 is no expression
+	static FILE_EXPRESSIONS = [null, "number", "symbol", "label", "unary", "binary", "half"]
+	
+	// FNV-1a, like VMAssembler.hash but over bytes
+	static checksum(bytes) {
+		let hash = 0x811C9DC5
+		
+		for (let i = 0; i < bytes.length; i++) {
+			hash ^= bytes[i]
+			hash = Math.imul(hash, 0x01000193)
+		}
+		
+		return hash >>> 0
+	}
+	
+	// the objects can come from any number of units, the ones that share a unit still do once they're loaded again
+	// without debug, the source map and the locations of the relocations are left out
+	static serializeAll(vm, objects, debug = true) {
+		let strings = new Map([[null, 0]])
+		let units = new Map([[null, 0]])
+		let locations = new Map([[null, 0]])
+		
+		let string = (str) => {
+			if (!strings.has(str)) {
+				strings.set(str, strings.size)
+			}
+			
+			return strings.get(str)
+		}
+		
+		// the locations a location was expanded from get their index first, so they can be read back in order
+		let location = (loc) => {
+			loc = debug ? loc ?? null : null
+			
+			if (!locations.has(loc)) {
+				let expansion = loc.expansion.map(({ name, definition }) => ({ name: string(name), definition: location(definition) }))
+				locations.set(loc, { index: locations.size, file: string(loc.file), line: loc.line, column: loc.column, lineText: string(loc.lineText), expansion })
+			}
+			
+			return loc ? locations.get(loc).index : 0
+		}
+		
+		let body = new VMBinaryWriter(vm)
+		
+		let expression = (node) => {
+			body.writeUint8(VMBytecodeObject.FILE_EXPRESSIONS.indexOf(node?.type ?? null))
+			
+			switch (node?.type) {
+				case "number":
+					body.writeFloat64(node.value)
+					break
+				
+				case "symbol":
+					body.writeUint32(string(node.name))
+					break
+				
+				case "label":
+					body.writeUint32(string(node.name))
+					body.writeUint8(+node.relative)
+					break
+				
+				case "unary":
+					body.writeUint32(string(node.op))
+					expression(node.operand)
+					break
+				
+				case "binary":
+					body.writeUint32(string(node.op))
+					expression(node.left)
+					expression(node.right)
+					break
+				
+				case "half":
+					body.writeUint32(string(node.part))
+					expression(node.operand)
+					break
+			}
+		}
+		
+		body.writeUint32(objects.length)
+		
+		for (let obj of objects) {
+			if (!units.has(obj.unit)) {
+				units.set(obj.unit, units.size)
+			}
+			
+			body.writeUint32(string(obj.section))
+			body.writeUint32(units.get(obj.unit))
+			body.writeUint32(obj.align)
+			
+			body.writeUint32(obj.data.length)
+			
+			for (let i = 0; i < obj.data.length; i++) {
+				body.writeInt32(obj.data[i])
+			}
+			
+			let labels = Object.entries(obj.labels)
+			body.writeUint32(labels.length)
+			
+			for (let [name, addr] of labels) {
+				body.writeUint32(string(name))
+				body.writeUint32(addr)
+			}
+			
+			let sections = Object.entries(obj.sections)
+			body.writeUint32(sections.length)
+			
+			for (let [name, { start, end }] of sections) {
+				body.writeUint32(string(name))
+				body.writeUint32(start)
+				body.writeUint32(end)
+			}
+			
+			body.writeUint32(obj.relocations.length)
+			
+			for (let reloc of obj.relocations) {
+				body.writeUint8(VMBytecodeRelocation.TYPES.indexOf(reloc.type))
+				body.writeUint8(+reloc.rel)
+				body.writeUint32(reloc.addr)
+				body.writeUint32(string(reloc.label ?? null))
+				expression(reloc.expr)
+				body.writeUint32(location(reloc.location))
+			}
+			
+			if (debug) {
+				for (let i = 0; i < obj.data.length; i++) {
+					body.writeUint32(location(obj.sourceMap[i]))
+				}
+			}
+		}
+		
+		// the string table goes first, so everything that has a string has to be written out before it
+		let tables = new VMBinaryWriter(vm)
+		let unitTable = [...units.keys()].slice(1).map((unit) => ({ file: string(unit.file), bindings: Object.entries(unit.bindings).map(([name, binding]) => [string(name), VMBytecodeUnit.BINDINGS.indexOf(binding)]) }))
+		
+		tables.writeUint32(strings.size - 1)
+		
+		for (let str of [...strings.keys()].slice(1)) {
+			tables.writeString(str)
+		}
+		
+		tables.writeUint32(unitTable.length)
+		
+		for (let { file, bindings } of unitTable) {
+			tables.writeUint32(file)
+			tables.writeUint32(bindings.length)
+			
+			for (let [name, binding] of bindings) {
+				tables.writeUint32(name)
+				tables.writeUint8(binding)
+			}
+		}
+		
+		let locationTable = [...locations.values()].slice(1)
+		tables.writeUint32(locationTable.length)
+		
+		for (let loc of locationTable) {
+			tables.writeUint32(loc.file)
+			tables.writeUint32(loc.line)
+			tables.writeUint32(loc.column)
+			tables.writeUint32(loc.lineText)
+			tables.writeUint32(loc.expansion.length)
+			
+			for (let { name, definition } of loc.expansion) {
+				tables.writeUint32(name)
+				tables.writeUint32(definition)
+			}
+		}
+		
+		tables.writeBytes(body.finish())
+		
+		let payload = tables.finish()
+		let file = new VMBinaryWriter(vm)
+		
+		file.writeBytes(vm.textEncoder.encode(VMBytecodeObject.FILE_MAGIC))
+		file.writeUint16(VMBytecodeObject.FILE_VERSION)
+		file.writeUint16(debug ? VMBytecodeObject.FILE_DEBUG : 0)
+		file.writeUint32(payload.length)
+		file.writeUint32(VMBytecodeObject.checksum(payload))
+		file.writeBytes(payload)
+		
+		return file.finish()
+	}
+	
+	// takes a Uint8Array or an ArrayBuffer written by serializeAll, and gives back the objects that were in it
+	static deserializeAll(vm, bytes) {
+		if (bytes instanceof ArrayBuffer) {
+			bytes = new Uint8Array(bytes)
+		}
+		
+		let name = "Bytecode object file"
+		let header = new VMBinaryReader(vm, bytes, name)
+		let magic = String.fromCharCode(...header.readBytes(VMBytecodeObject.FILE_MAGIC.length))
+		
+		if (magic != VMBytecodeObject.FILE_MAGIC) {
+			throw new VMError(`Tried to load something that isn't a bytecode object file, it starts with ${JSON.stringify(magic)} instead of "${VMBytecodeObject.FILE_MAGIC}"`)
+		}
+		
+		let version = header.readUint16()
+		
+		if (version != VMBytecodeObject.FILE_VERSION) {
+			throw new VMError(`Tried to load bytecode object file with unsupported version ${version}, expected version ${VMBytecodeObject.FILE_VERSION}`)
+		}
+		
+		let flags = header.readUint16()
+		let length = header.readUint32()
+		let checksum = header.readUint32()
+		let payload = header.readBytes(length)
+		
+		header.expectEnd()
+		
+		if (VMBytecodeObject.checksum(payload) != checksum) {
+			throw new VMError(`${name} is corrupted, its checksum doesn't match its contents`)
+		}
+		
+		let reader = new VMBinaryReader(vm, payload, name)
+		let strings = [null]
+		let units = [null]
+		let locations = [null]
+		
+		for (let count = reader.readUint32(); count > 0; count--) {
+			strings.push(reader.readString())
+		}
+		
+		for (let count = reader.readUint32(); count > 0; count--) {
+			let file = reader.readIndex(strings, "string")
+			let bindings = {}
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				bindings[reader.readIndex(strings, "string")] = reader.readEnum(VMBytecodeUnit.BINDINGS, "binding")
+			}
+			
+			units.push(new VMBytecodeUnit(file, bindings))
+		}
+		
+		for (let count = reader.readUint32(); count > 0; count--) {
+			let file = reader.readIndex(strings, "string")
+			let line = reader.readUint32()
+			let column = reader.readUint32()
+			let lineText = reader.readIndex(strings, "string")
+			let expansion = []
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				expansion.push({ name: reader.readIndex(strings, "string"), definition: reader.readIndex(locations, "location") })
+			}
+			
+			locations.push(new VMSourceLocation(file, line, column, lineText, expansion))
+		}
+		
+		let expression = () => {
+			let type = reader.readEnum(VMBytecodeObject.FILE_EXPRESSIONS, "expression node")
+			
+			switch (type) {
+				case "number":
+					return { type, value: reader.readFloat64() }
+				
+				case "symbol":
+					return { type, name: reader.readIndex(strings, "string") }
+				
+				case "label":
+					return { type, name: reader.readIndex(strings, "string"), relative: reader.readUint8() != 0 }
+				
+				case "unary":
+					return { type, op: reader.readIndex(strings, "string"), operand: expression() }
+				
+				case "binary":
+					return { type, op: reader.readIndex(strings, "string"), left: expression(), right: expression() }
+				
+				case "half":
+					return { type, part: reader.readIndex(strings, "string"), operand: expression() }
+			}
+			
+			return null
+		}
+		
+		let objects = []
+		
+		for (let count = reader.readUint32(); count > 0; count--) {
+			let section = reader.readIndex(strings, "string")
+			let unit = reader.readIndex(units, "unit")
+			let align = reader.readUint32()
+			let data = []
+			
+			// the checksum only catches damage, so anything the linker relies on is checked too
+			if (align < 1 || align > VM.MAIN_MEMORY_SIZE || (align & (align - 1)) != 0) {
+				throw new VMError(`${name} has an object aligned to ${align} words, which isn't a power of two up to ${VM.MAIN_MEMORY_SIZE}`)
+			}
+			let labels = {}
+			let sections = {}
+			let relocations = []
+			let sourceMap = []
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				data.push(reader.readInt32())
+			}
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				let label = reader.readIndex(strings, "string")
+				let addr = reader.readUint32()
+				
+				if (addr > data.length) {
+					throw new VMError(`${name} has label ${label} at ${addr}, past the end of its object (${data.length} words)`)
+				}
+				
+				labels[label] = addr
+			}
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				let piece = reader.readIndex(strings, "string")
+				let start = reader.readUint32()
+				let end = reader.readUint32()
+				
+				if (start > end || end > data.length) {
+					throw new VMError(`${name} has section ${piece} from ${start} to ${end}, outside of its object (${data.length} words)`)
+				}
+				
+				sections[piece] = { start, end }
+			}
+			
+			for (let count = reader.readUint32(); count > 0; count--) {
+				let type = reader.readEnum(VMBytecodeRelocation.TYPES, "relocation type")
+				let rel = reader.readUint8() != 0
+				let addr = reader.readUint32()
+				let label = reader.readIndex(strings, "string")
+				let expr = expression()
+				
+				if (addr >= data.length) {
+					throw new VMError(`${name} has a relocation at ${addr}, past the end of its object (${data.length} words)`)
+				}
+				
+				relocations.push(new VMBytecodeRelocation(rel, addr, label, reader.readIndex(locations, "location"), expr, type))
+			}
+			
+			if (flags & VMBytecodeObject.FILE_DEBUG) {
+				for (let i = 0; i < data.length; i++) {
+					sourceMap[i] = reader.readIndex(locations, "location")
+				}
+			}
+			
+			let obj = vm.create(VMBytecodeObject, data, labels, relocations, sourceMap, section, unit)
+			obj.align = align
+			obj.sections = sections
+			obj.addr = data.length
+			
+			objects.push(obj)
+		}
+		
+		reader.expectEnd()
+		
+		return objects
+	}
+	
+	// like deserializeAll, for files with a single object in them
+	static deserialize(vm, bytes) {
+		let objects = VMBytecodeObject.deserializeAll(vm, bytes)
+		
+		if (objects.length != 1) {
+			throw new VMError(`Expected a bytecode object file with one object, but it has ${objects.length}, deserializeAll can load it`)
+		}
+		
+		return objects[0]
+	}
+	
+	constructor(vm, data = [], labels = {}, relocations = [], sourceMap = [], section = "text", unit = null) {
+		this.vm = vm
+		
+		this.data = data
+		this.labels = labels
+		this.relocations = relocations
+		
+		// source location of each word, taken from location when the word is pushed
+		this.sourceMap = sourceMap
+		this.location = null
+		
+		this.section = section
+		
+		// objects without a unit are linked as if all of their labels were global
+		this.unit = unit
+		
+		// the linker starts the object on a multiple of this
+		this.align = 1
+		
+		// start and end of each section, only filled in by the linker
+		this.sections = {}
+		
+		this.addr = 0
+	}
+	
+	pushInt(num) {
+		this.sourceMap[this.addr] = this.location
+		this.data[this.addr++] = num
+	}
+	
+	pushFloat(num) {
+		let data = new DataView(new ArrayBuffer(4))
+		data.setFloat32(0, num)
+		this.pushInt(data.getInt32(0))
+	}
+	
+	pushString(str) {
+		let data = this.vm.encodeStringUtf8(str)
+		
+		for (let i = 0; i < data.length; i++) {
+			this.pushInt(data[i])
+		}
+	}
+	
+	addLabel(name, offset = 0) {
+		if (name in this.labels) {
+			throw new Error(`Duplicate label "${name}"`)
+		}
+		
+		this.labels[name] = this.addr + offset
+	}
+	
+	addRelocation(rel, name, offset = 0, location = this.location, type = "imm") {
+		this.relocations.push(new VMBytecodeRelocation(rel, this.addr + offset, name, location, null, type))
+	}
+	
+	// %hi and %lo at the top of the expression become the type of the relocation
+	addReference(expr, offset = 0, location = this.location, type = "imm") {
+		if (expr.type == "half") {
+			type = expr.part
+			expr = expr.operand
+		}
+		
+		if (expr.type == "label") {
+			this.addRelocation(expr.relative, expr.name, offset, location, type)
+		} else {
+			this.relocations.push(new VMBytecodeRelocation(false, this.addr + offset, null, location, expr, type))
+		}
+	}
+	
+	apply(func, ...args) {
+		func.apply(this, args)
+	}
+	
+	// only the output of the linker has sections
+	isLinked() {
+		return Object.keys(this.sections).length > 0
+	}
+	
+	serialize(debug = true) {
+		return VMBytecodeObject.serializeAll(this.vm, [this], debug)
+	}
+}
+
+class VMAssemblerOp {
+	constructor(encoding, irs, args, unsigned = []) {
+		this.encoding = encoding.split("").filter((e) => e != " ")
+		this.irs = irs
+		this.args = args
+		
+		// fields in VMAssembler.SIGNED_FIELDS that this instruction doesn't sign extend
+		this.unsigned = unsigned
+	}
+	
+	isSigned(field) {
+		return VMAssembler.SIGNED_FIELDS.includes(field) && !this.unsigned.includes(field)
+	}
+}
+
+// the source of one VMAssembler.assemble call next to what it turned into, and where each label is defined and used
+// addresses are from the start of each section in the source, as if it was linked on its own
+class VMAssemblerListing {
+	static hex(num) {
+		return num.toString(16).padStart(8, "0")
+	}
+	
+	constructor(file, lines = [], symbols = []) {
+		this.file = file
+		
+		// { number, text, words }, each word is { section, addr, word, text, relocation, macros }
+		// text is what the word disassembles to, macros the ones it was expanded from, innermost first
+		this.lines = lines
+		
+		// { name, section, addr, binding, defined, uses }, section and addr are null if the label isn't in this source
+		this.symbols = symbols
+	}
+	
+	formatWord(word) {
+		return `${word.section.padEnd(6)} ${VMAssemblerListing.hex(word.addr)} ${VMAssemblerListing.hex(word.word)} ${word.relocation ? "R" : " "}`
+	}
+	
+	// each source line has its first word next to it, the rest come after it with what they disassemble to
+	// when the line is a macro, all of its words are written out like that
+	toString() {
+		let blank = " ".repeat(this.formatWord({ section: "", addr: 0, word: 0 }).length)
+		let out = [this.file, ""]
+		
+		for (let line of this.lines) {
+			let expanded = line.words.some((word) => word.macros.length > 0)
+			let first = expanded ? null : line.words[0]
+			
+			out.push(`${String(line.number).padStart(5)}  ${first ? this.formatWord(first) : blank}  ${line.text}`)
+			
+			for (let word of line.words) {
+				if (word != first) {
+					let macros = word.macros.length ? ` (in macro ${word.macros.join(", in ")})` : ""
+					out.push(`       ${this.formatWord(word)}  \t// ${word.text}${macros}`)
+				}
+			}
+		}
+		
+		let width = Math.max(0, ...this.symbols.map((symbol) => symbol.name.length))
+		
+		out.push("", "Symbols:")
+		
+		for (let symbol of this.symbols) {
+			let where = symbol.section == null ? "undefined".padEnd(15) : `${symbol.section.padEnd(6)} ${VMAssemblerListing.hex(symbol.addr)}`
+			out.push(`\t${symbol.name.padEnd(width)}  ${where}  ${symbol.binding.padEnd(6)}  defined ${symbol.defined ?? "-"}, used ${symbol.uses.join(", ") || "-"}`)
+		}
+		
+		return out.join("\n")
+	}
+}
+
+class VMAssembler {
+	// why am i doing this like this
+	static OPS = {
+		"ipush":            new VMAssemblerOp("????1??? ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"nop":              new VMAssemblerOp("0000S??? ???????? AAAAAAAA AAAAAAAA", true,  []),
+		"exit.i":           new VMAssemblerOp("0001???0 ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"exit.r":           new VMAssemblerOp("0001???1 ???RRRRR ???????? ????????", false, ["$R"]),
+		"push.i":           new VMAssemblerOp("0010???0 ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"push.r":           new VMAssemblerOp("0010S??1 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"pop":              new VMAssemblerOp("0011S??0 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"ipop.int":         new VMAssemblerOp("0011S?01 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"ipop.ptr":         new VMAssemblerOp("0011S?11 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"ret":              new VMAssemblerOp("0100S??? ???????? AAAAAAAA AAAAAAAA", true,  []),
+		"get":              new VMAssemblerOp("01010?00 ???YYYYY ???XXXXX ????????", false, ["$Y", "$X"]),
+		"getp":             new VMAssemblerOp("01010?01 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Y", "$Z", "$X"]),
+		"load":             new VMAssemblerOp("01010?10 ???YYYYY ???XXXXX ????????", false, ["$Y", "$X"]),
+		"loadp":            new VMAssemblerOp("01010?11 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Y", "$Z", "$X"]),
+		"set":              new VMAssemblerOp("01011??0 ???YYYYY ???XXXXX ????????", false, ["$X", "$Y"]),
+		"setp":             new VMAssemblerOp("01011??1 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Z", "$X", "$Y"]),
+		"b.i":              new VMAssemblerOp("0110?000 0??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"b.r":              new VMAssemblerOp("0110S001 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"b.abs.i":          new VMAssemblerOp("0110?010 0??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"b.abs.r":          new VMAssemblerOp("0110S011 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"call.i":           new VMAssemblerOp("0110S110 0??????? AAAAAAAA AAAAAAAA", true,  ["#A"]),
+		"call.r":           new VMAssemblerOp("0110S111 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"bc.i":             new VMAssemblerOp("0110?000 1??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"bc.r":             new VMAssemblerOp("0110S001 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"bc.abs.i":         new VMAssemblerOp("0110?010 1??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
+		"bc.abs.r":         new VMAssemblerOp("0110S011 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"callc.i":          new VMAssemblerOp("0110S110 1??????? AAAAAAAA AAAAAAAA", true,  ["#A"]),
+		"callc.r":          new VMAssemblerOp("0110S111 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
+		"c.cmp.i":          new VMAssemblerOp("0111S000 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.eq.i":           new VMAssemblerOp("0111S001 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.lt.i":           new VMAssemblerOp("0111S010 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.gt.i":           new VMAssemblerOp("0111S011 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.not":            new VMAssemblerOp("0111S100 ??0XXXXX AAAAAAAA AAAAAAAA", true,  ["$X"]),
+		"c.neq.i":          new VMAssemblerOp("0111S101 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.gte.i":          new VMAssemblerOp("0111S110 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.lte.i":          new VMAssemblerOp("0111S111 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
+		"c.cmp.r":          new VMAssemblerOp("0111?000 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.eq.r":           new VMAssemblerOp("0111?001 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.lt.r":           new VMAssemblerOp("0111?010 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.null":           new VMAssemblerOp("0111?011 ??1XXXXX ???YYYYY ????????", false, ["$Y", "$X"]),
+		"c.same":           new VMAssemblerOp("0111?100 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.neq.r":          new VMAssemblerOp("0111?101 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.gte.r":          new VMAssemblerOp("0111?110 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
+		"c.nnull":          new VMAssemblerOp("0111?111 ??1XXXXX ???YYYYY ????????", false, ["$Y", "$X"]),
+		"cvt.null.i":       new VMAssemblerOp("1000S000 ??0YYYYY AAAAAAAA AAAAAAAA", true,  ["$Y", "#A"]),
+		"cvt.int.i":        new VMAssemblerOp("1000S001 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
+		"cvt.float.i":      new VMAssemblerOp("1000S010 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
+		"cvt.ptr.i":        new VMAssemblerOp("1000S011 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
+		"cvt.ext.i":        new VMAssemblerOp("1000S100 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
+		"cvt.null.r":       new VMAssemblerOp("10000000 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
+		"cvt.int.r":        new VMAssemblerOp("10000001 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
+		"cvt.float.r":      new VMAssemblerOp("10000010 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
+		"cvt.ptr.r":        new VMAssemblerOp("10000011 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
+		"cvt.ext.r":        new VMAssemblerOp("10000100 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
+		"repr.null.null":   new VMAssemblerOp("10001000 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.null.int":    new VMAssemblerOp("10001001 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.null.float":  new VMAssemblerOp("10001010 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.null.ptr":    new VMAssemblerOp("10001011 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.null.ext":    new VMAssemblerOp("10001100 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.int.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.int.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.int.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.int.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.int.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.float.null":  new VMAssemblerOp("10001000 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.float.int":   new VMAssemblerOp("10001001 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.float.float": new VMAssemblerOp("10001010 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.float.ptr":   new VMAssemblerOp("10001011 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.float.ext":   new VMAssemblerOp("10001100 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ptr.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ptr.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ptr.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ptr.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ptr.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ext.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ext.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ext.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ext.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
+		"repr.ext.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
+		"add":              new VMAssemblerOp("10010000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"add.f":            new VMAssemblerOp("10011000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"sub":              new VMAssemblerOp("10010001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"sub.f":            new VMAssemblerOp("10011001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"mult":             new VMAssemblerOp("10010010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"mult.f":           new VMAssemblerOp("10011010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"div":              new VMAssemblerOp("10010011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"div.f":            new VMAssemblerOp("10011011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"mod":              new VMAssemblerOp("10010100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"mod.f":            new VMAssemblerOp("10011100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"and":              new VMAssemblerOp("10010101 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"or":               new VMAssemblerOp("10011101 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"xor":              new VMAssemblerOp("10010110 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"xnor":             new VMAssemblerOp("10011110 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"shl":              new VMAssemblerOp("10010111 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"shr":              new VMAssemblerOp("10011111 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"read.null":        new VMAssemblerOp("10100000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"read.int":         new VMAssemblerOp("10100001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"read.float":       new VMAssemblerOp("10100010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"read.ptr":         new VMAssemblerOp("10100011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"read.ext":         new VMAssemblerOp("10100100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"write":            new VMAssemblerOp("10101??? ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
+		"trap.i":           new VMAssemblerOp("1011?000 ???CCCCC AAAAAAAA AAAAAAAA", false, ["#C", "#A"], ["A"]),
+		"trap.r":           new VMAssemblerOp("1011?001 ???CCCCC ???RRRRR ????????", false, ["#C", "$R"]),
+		"trap.clr":         new VMAssemblerOp("1011?010 ???CCCCC ???????? ????????", false, ["#C"]),
+		"dbg":              new VMAssemblerOp("11110??0 ???????? ???????? ????????", false, []),
+		"dbgp":             new VMAssemblerOp("11110??1 ???XXXXX ???????? ????????", false, ["$X"]),
+		"break":            new VMAssemblerOp("11111??? ???????? ???????? ????????", false, []),
+	}
+	
+	static PSEUDO_OPS = ["li", "lf", "la", "call.ext"]
+	
+	// limits on how much code a macro or .rept can produce, mostly to catch runaway recursion
+	static MAX_MACRO_DEPTH = 64
+	static MAX_REPEAT = 65536
+	
+	// immediate fields that get sign extended unless an op says otherwise, everything else is unsigned
+	static SIGNED_FIELDS = ["A"]
+	
+	static DIRECTIVE_METHODS = {
+		"int":    "directiveInt",
+		"word":   "directiveInt",
+		"float":  "directiveFloat",
+		"ptr":    "directivePtr",
+		"utf8":   "directiveUtf8",
+		"string": "directiveUtf8",
+		"str":    "directiveUtf8",
+		"align":  "directiveAlign",
+		"zero":   "directiveSpace",
+		"space":  "directiveSpace",
+		"fill":   "directiveFill"
+	}
+	
+	static RAW_DIRECTIVES = ["float", "utf8", "string", "str"]
+	
+	// labels are local unless declared otherwise, .extern only documents that a name comes from another file
+	static BINDINGS = ["global", "weak", "local", "extern"]
+	
+	// .bss is only zeros, so it can't hold anything else
+	static BSS_DIRECTIVES = ["align", "zero", "space"]
+	
+	static isIdentifier(str) {
+		return /^[A-Za-z_][A-Za-z0-9_]+?$/.test(str)
+	}
+	
+	// 32-bit FNV-1a
+	static hash(str) {
+		let hash = 0x811C9DC5
+		
+		for (let i = 0; i < str.length; i++) {
+			hash ^= str.charCodeAt(i)
+			hash = Math.imul(hash, 0x01000193)
+		}
+		
+		return hash >>> 0
+	}
+	
+	constructor(vm) {
+		this.vm = vm
+		this.constants = new Map()
+		this.macros = new Map()
+		this.expansions = 0
+		this.literals = new Map()
+		this.definitions = new Map()
+		this.foreign = new Map()
+		
+		// assemble() leaves a VMAssemblerListing of the source in listing when this is set
+		this.listingEnabled = false
+		this.listing = null
+	}
+	
+	assemble(code, { filename = "<source>" } = {}) {
+		let errors = []
+		
+		// .equ and .set constants, .macro definitions and .extern functions, only visible in this source
+		this.constants = new Map()
+		this.macros = new Map()
+		this.foreign = new Map()
+		this.expansions = 0
+		
+		// string and float literals already in the pool, by contents
+		this.literals = new Map()
+		
+		// where each label was defined, for the listing
+		this.definitions = new Map()
+		
+		let source = this.preprocess(code, filename, errors)
+		
+		let lexer = new VMAssemblerLexer(source)
+		let tokens = lexer.tokenize()
+		
+		let parser = new VMAssemblerParser(tokens, this.macros)
+		let objects = this.generate(parser, errors, new VMBytecodeUnit(filename))
+		
+		errors.push(...lexer.errors, ...parser.errors)
+		
+		errors.sort((a, b) => (a.location?.line ?? 0) - (b.location?.line ?? 0) || (a.location?.column ?? 0) - (b.location?.column ?? 0))
+		VMAssemblerError.throwAll(errors)
+		
+		this.listing = this.listingEnabled ? this.makeListing(code, filename, objects) : null
+		
+		return objects
+	}
+	
+	// the labels of pooled literals are left out of the symbols, their words are listed with the line that used them
+	makeListing(code, filename, objects) {
+		let disassembler = this.vm.create(VMDisassembler)
+		let literals = new Set(this.literals.values())
+		let lines = code.split("\n").map((text, i) => ({ number: i + 1, text, words: [] }))
+		let symbols = new Map()
+		let bases = {}
+		
+		let symbol = (name, unit) => {
+			if (!symbols.has(name)) {
+				symbols.set(name, { name, section: null, addr: null, binding: unit.bindings[name] ?? "local", defined: null, uses: [] })
+			}
+			
+			return symbols.get(name)
+		}
+		
+		for (let obj of objects) {
+			let base = bases[obj.section] ?? 0
+			let relocations = {}
+			let line = lines[0]
+			
+			while (base % obj.align != 0) {
+				base++
+			}
+			
+			bases[obj.section] = base + obj.data.length
+			
+			for (let label in obj.labels) {
+				if (!literals.has(label)) {
+					Object.assign(symbol(label, obj.unit), { section: obj.section, addr: base + obj.labels[label], defined: this.definitions.get(label)?.line ?? null })
+				}
+			}
+			
+			for (let reloc of obj.relocations) {
+				let names = reloc.expr ? [] : [reloc.label]
+				
+				if (reloc.expr) {
+					VMExpression.substitute(reloc.expr, (name, node) => (names.push(name), node), "label")
+				}
+				
+				for (let name of names.filter((name) => !literals.has(name))) {
+					symbol(name, obj.unit).uses.push(reloc.location?.line)
+				}
+				
+				relocations[reloc.addr] = reloc
+			}
+			
+			for (let i = 0; i < obj.data.length; i++) {
+				let location = obj.sourceMap[i]
+				
+				// words without a location go with the one before them
+				line = location ? lines[location.line - 1] ?? line : line
+				
+				let [text, note] = obj.section == "bss" ? [[".zero 1"], ""] : disassembler.formatWord(obj.data[i] >>> 0, i, relocations, obj.section != "text")
+				line.words.push({ section: obj.section, addr: base + i, word: obj.data[i] >>> 0, text: text.join("; ") + note, relocation: relocations[i] ?? null, macros: location?.expansion.map((entry) => entry.name) ?? [] })
+			}
+		}
+		
+		for (let entry of symbols.values()) {
+			entry.uses = [...new Set(entry.uses.filter((use) => use != null))].sort((a, b) => a - b)
+		}
+		
+		return new VMAssemblerListing(filename, lines, [...symbols.values()].sort((a, b) => a.name.localeCompare(b.name)))
+	}
+	
+	// statements are pulled from the parser one at a time, since macros and .if can change what comes next
+	generate(parser, errors, unit) {
+		let state = {
+			sections: Object.fromEntries(VMBytecodeObject.SECTIONS.map((name) => [name, this.vm.create(VMBytecodeObject, [], {}, [], [], name, unit)])),
+			section: null,
+			
+			// literals get an object of their own, so that they don't end up in the middle of the source's rodata
+			pool: this.vm.create(VMBytecodeObject, [], {}, [], [], "rodata", unit),
+			
+			// .global, .weak, .local and .extern, with where they were declared
+			declarations: new Map(),
+			
+			lastNum: 0,
+			lastIrs: false,
+			
+			// open .if blocks, innermost last
+			conditions: []
+		}
+		
+		state.section = state.sections.text
+		
+		let stmt
+		
+		while ((stmt = parser.nextStatement())) {
+			try {
+				this.generateStatement(stmt, parser, state)
+			} catch (err) {
+				if (!(err instanceof VMAssemblerError)) {
+					throw err
+				}
+				
+				errors.push(err)
+			}
+			
+			parser.skipping = !this.isActive(state)
+		}
+		
+		for (let condition of state.conditions) {
+			errors.push(new VMAssemblerError(`Unterminated .${condition.name}, expected .endif`, condition.location))
+		}
+		
+		for (let [name, { binding, location }] of state.declarations) {
+			if (binding == "extern" && this.isLabel(name, state)) {
+				errors.push(new VMAssemblerError(`Symbol "${name}" is declared .extern but defined in this file`, location))
+			}
+			
+			unit.bindings[name] = binding
+		}
+		
+		return [...Object.values(state.sections), state.pool]
+	}
+	
+	generateStatement(stmt, parser, state) {
+		let obj = state.section
+		let pool = state.pool
+		
+		if (stmt.type == "directive" && VMAssemblerParser.CONDITIONALS.includes("." + stmt.name)) {
+			this.conditional(stmt, state)
+			return
+		}
+		
+		if (!this.isActive(state)) {
+			return
+		}
+		
+		obj.location = stmt.location
+		pool.location = stmt.location
+		
+		if (stmt.type == "instruction" && VMAssembler.PSEUDO_OPS.includes(stmt.mnemonic)) {
+			for (let expanded of this.expandPseudo(stmt, pool)) {
+				this.generateStatement(expanded, parser, state)
+			}
+			
+			return
+		}
+		
+		switch (stmt.type) {
+			case "macro":
+				this.defineMacro(stmt)
+				break
+			
+			case "invoke":
+				parser.insert(this.expandMacro(stmt))
+				break
+			
+			case "rept":
+				parser.insert(this.expandRepeat(stmt))
+				break
+			
+			case "foreign":
+				this.declareForeign(stmt)
+				break
+			
+			case "label":
+				if (!VMAssembler.isIdentifier(stmt.name)) {
+					throw new VMAssemblerError(`Invalid label name "${stmt.name}"`, stmt.location)
+				}
+				
+				if (this.isLabel(stmt.name, state)) {
+					throw new VMAssemblerError(`Duplicate label "${stmt.name}"`, stmt.location)
+				}
+				
+				obj.addLabel(stmt.name)
+				this.definitions.set(stmt.name, stmt.location)
+				break
+			
+			case "directive": {
+				if (stmt.name == "equ" || stmt.name == "set") {
+					this.defineConstant(stmt)
+					break
+				}
+				
+				if (VMAssembler.BINDINGS.includes(stmt.name)) {
+					this.declareSymbols(stmt, state)
+					break
+				}
+				
+				if (stmt.name == "error") {
+					let [message] = stmt.operands
+					throw new VMAssemblerError(message?.type == "string" ? message.value : `.error encountered`, stmt.location)
+				}
+				
+				if (VMBytecodeObject.SECTIONS.includes(stmt.name)) {
+					if (stmt.operands.length) {
+						throw new VMAssemblerError(`.${stmt.name} doesn't take any operands`, stmt.location)
+					}
+					
+					// ipush can't reach back into another section
+					state.section = state.sections[stmt.name]
+					state.lastIrs = false
+					break
+				}
+				
+				if (!VMAssembler.isIdentifier(stmt.name)) {
+					throw new VMAssemblerError(`Invalid directive name "${stmt.name}"`, stmt.location)
+				}
+				
+				let methodName = VMAssembler.DIRECTIVE_METHODS[stmt.name]
+				
+				if (!methodName) {
+					throw new VMAssemblerError(`Unrecognized directive "${stmt.name}"`, stmt.location)
+				}
+				
+				if (obj.section == "bss" && !VMAssembler.BSS_DIRECTIVES.includes(stmt.name)) {
+					throw new VMAssemblerError(`.${stmt.name} can't be used in .bss, which can only reserve space`, stmt.location)
+				}
+				
+				// float and the string directives read their operands directly, the rest can refer to literals and constants
+				let operands = VMAssembler.RAW_DIRECTIVES.includes(stmt.name) ? stmt.operands : stmt.operands.map((operand) => this.resolveOperand(this.lowerLiteral(stmt.name == "ptr" ? this.bareLabel(operand) : operand, pool)))
+				obj.apply(this[methodName], operands)
+				break
+			}
+			
+			case "instruction": {
+				let command = stmt.mnemonic
+				let ipush = command == "ipush"
+				let op = VMAssembler.OPS[command]
+				
+				if (!op) {
+					throw new VMAssemblerError(`Unrecognized instruction "${command}"`, stmt.location)
+				}
+				
+				if (obj.section == "bss") {
+					throw new VMAssemblerError(`Instructions can't be used in .bss, which can only reserve space`, stmt.location)
+				}
+				
+				if (stmt.operands.length != op.args.length) {
+					throw new VMAssemblerError(`Expected ${op.args.length} args for instruction "${command}", got ${stmt.operands.length}`, stmt.location)
+				}
+				
+				if (ipush) {
+					if (!state.lastIrs) {
+						throw new VMAssemblerError(`Could not apply ipush`, stmt.location)
+					}
+					
+					// ipush rewrites the previous word, so its relocations belong there too
+					obj.addr--
+					obj.location = obj.sourceMap[obj.addr]
+				}
+				
+				let values = {}
+				
+				for (let j = 0; j < stmt.operands.length; j++) {
+					let operand = this.resolveOperand(this.lowerLiteral(stmt.operands[j], pool))
+					let target = op.args[j].slice(1)
+					let ident
+					
+					let type = operand.type
+					let expectedType = op.args[j][0] == "$" ? "register" : op.args[j][0] == "#" ? "immediate" : "unknown"
+					
+					if (type != expectedType) {
+						throw new VMAssemblerError(`Expected argument type ${expectedType} for argument ${j + 1} of instruction "${command}", got type ${type}`, operand.location)
+					}
+					
+					let width = op.encoding.filter((e) => e == target).length
+					let signed = op.isSigned(target)
+					let min = signed ? -(2 ** (width - 1)) : 0
+					let max = signed ? 2 ** (width - 1) - 1 : 2 ** width - 1
+					
+					if (operand.expr) {
+						if (width != 16) {
+							throw new VMAssemblerError(`Only 16-bit immediates can refer to labels, argument ${j + 1} of instruction "${command}" is ${width}-bit`, operand.location)
+						}
+						
+						obj.addReference(operand.expr, 0, operand.location, signed ? "imm" : "uimm")
+						ident = 0
+					} else if (operand.type == "immediate") {
+						ident = operand.value
+						
+						if (ident < min || ident > max) {
+							throw new VMAssemblerError(`Immediate ${ident} out of range for instruction "${command}" (${signed ? "signed" : "unsigned"} ${width}-bit, ${min} to ${max})`, operand.location)
+						}
+					} else {
+						if (!Number.isNaN(Number(operand.name))) {
+							ident = Number(operand.name)
+						} else if (operand.name in VMRegisters.REGISTER_NAMES) {
+							ident = VMRegisters.REGISTER_NAMES[operand.name]
+						} else {
+							throw new VMAssemblerError(`Unrecognized register identifier $${operand.name}`, operand.location)
+						}
+						
+						if (!Number.isInteger(ident) || ident < 0 || ident > max) {
+							throw new VMAssemblerError(`Register $${operand.name} out of range, registers go from $0 to $${max}`, operand.location)
+						}
+					}
+					
+					values[target] = { i: 0, value: ((ident & (2 ** width - 1)) >>> 0).toString(2).padStart(width, "0") }
+				}
+				
+				if (ipush) {
+					values["S"] = { i: 0, value: "1" }
+				}
+				
+				let num = this.encode(op, values, ipush ? state.lastNum : 0)
+				
+				obj.pushInt(num)
+				
+				state.lastNum = num
+				state.lastIrs = op.irs
+				break
+			}
+		}
+	}
+	
+	declareSymbols(stmt, state) {
+		if (!stmt.operands.length) {
+			throw new VMAssemblerError(`Expected at least one name for .${stmt.name}`, stmt.location)
+		}
+		
+		for (let operand of stmt.operands) {
+			if (operand.type != "number" || operand.expr.type != "symbol" || !VMAssembler.isIdentifier(operand.expr.name)) {
+				throw new VMAssemblerError(`Expected a symbol name for .${stmt.name}`, operand.location)
+			}
+			
+			let name = operand.expr.name
+			let existing = state.declarations.get(name)
+			
+			if (existing && existing.binding != stmt.name) {
+				throw new VMAssemblerError(`Symbol "${name}" is already declared .${existing.binding}`, operand.location)
+			}
+			
+			state.declarations.set(name, { binding: stmt.name, location: operand.location })
+		}
+	}
+	
+	isLabel(name, state) {
+		return [...Object.values(state.sections), state.pool].some((section) => name in section.labels)
+	}
+	
+	isActive(state) {
+		return state.conditions.length == 0 || state.conditions[state.conditions.length - 1].active
+	}
+	
+	conditional(stmt, state) {
+		let top = state.conditions[state.conditions.length - 1]
+		
+		switch (stmt.name) {
+			case "if":
+			case "ifdef":
+			case "ifndef": {
+				let outer = this.isActive(state)
+				let condition = { name: stmt.name, outer, active: false, taken: false, sawElse: false, location: stmt.location }
+				
+				// pushed before evaluating, so that a broken condition still matches its .endif
+				state.conditions.push(condition)
+				
+				// conditions inside a skipped block aren't evaluated at all
+				condition.active = condition.taken = outer && this.evaluateCondition(stmt, state)
+				break
+			}
+			
+			case "elif":
+			case "else":
+				if (!top) {
+					throw new VMAssemblerError(`Unexpected .${stmt.name} without .if`, stmt.location)
+				}
+				
+				if (top.sawElse) {
+					throw new VMAssemblerError(`Unexpected .${stmt.name} after .else`, stmt.location)
+				}
+				
+				top.active = top.outer && !top.taken && (stmt.name == "else" || this.evaluateCondition(stmt, state))
+				top.taken ||= top.active
+				top.sawElse = stmt.name == "else"
+				break
+			
+			case "endif":
+				if (!top) {
+					throw new VMAssemblerError(`Unexpected .endif without .if`, stmt.location)
+				}
+				
+				state.conditions.pop()
+				break
+		}
+	}
+	
+	evaluateCondition(stmt, state) {
+		let [operand] = stmt.operands
+		
+		if (stmt.name == "ifdef" || stmt.name == "ifndef") {
+			if (stmt.operands.length != 1 || operand.expr?.type != "symbol") {
+				throw new VMAssemblerError(`Expected a name for .${stmt.name}`, stmt.location)
+			}
+			
+			let name = operand.expr.name
+			let defined = this.constants.has(name) || this.macros.has(name) || this.foreign.has(name) || this.isLabel(name, state)
+			
+			return stmt.name == "ifdef" ? defined : !defined
+		}
+		
+		if (stmt.operands.length != 1 || !operand.expr) {
+			throw new VMAssemblerError(`Expected an expression for .${stmt.name}`, stmt.location)
+		}
+		
+		let { value } = this.resolveOperand(operand)
+		
+		if (value == undefined) {
+			throw new VMAssemblerError(`Condition for .${stmt.name} has to be constant, labels aren't known yet`, operand.location)
+		}
+		
+		return value != 0
+	}
+	
+	defineMacro(stmt) {
+		if (!VMAssembler.isIdentifier(stmt.name)) {
+			throw new VMAssemblerError(`Invalid macro name "${stmt.name}"`, stmt.location)
+		}
+		
+		if (this.macros.has(stmt.name)) {
+			throw new VMAssemblerError(`Macro "${stmt.name}" is already defined`, stmt.location)
+		}
+		
+		if (stmt.name in VMAssembler.OPS || VMAssembler.PSEUDO_OPS.includes(stmt.name)) {
+			throw new VMAssemblerError(`Macro "${stmt.name}" has the same name as an instruction`, stmt.location)
+		}
+		
+		for (let i = 0; i < stmt.params.length; i++) {
+			if (stmt.params.findIndex((param) => param.name == stmt.params[i].name) != i) {
+				throw new VMAssemblerError(`Duplicate parameter "${stmt.params[i].name}" in macro "${stmt.name}"`, stmt.params[i].location)
+			}
+		}
+		
+		this.macros.set(stmt.name, stmt)
+	}
+	
+	// returns the tokens the invocation expands to, \param is replaced by its argument and \@ by a number unique to this expansion
+	// a substitution written right next to a word is pasted onto it, like in L\@_loop
+	// labels defined in the body are renamed the same way, so each expansion gets its own copy
+	expandMacro(stmt) {
+		let macro = this.macros.get(stmt.name)
+		
+		if (stmt.location.expansion.length >= VMAssembler.MAX_MACRO_DEPTH) {
+			throw new VMAssemblerError(`Macro "${stmt.name}" nested more than ${VMAssembler.MAX_MACRO_DEPTH} levels deep, is it recursive?`, stmt.location)
+		}
+		
+		let args = new Map()
+		let position = 0
+		
+		for (let arg of stmt.args) {
+			let param = arg.name == null ? macro.params[position++] : macro.params.find((param) => param.name == arg.name)
+			
+			if (!param) {
+				throw new VMAssemblerError(arg.name == null ? `Too many arguments for macro "${stmt.name}", expected at most ${macro.params.length}` : `Macro "${stmt.name}" has no parameter "${arg.name}"`, arg.location)
+			}
+			
+			if (args.has(param.name)) {
+				throw new VMAssemblerError(`Argument "${param.name}" of macro "${stmt.name}" given more than once`, arg.location)
+			}
+			
+			// empty arguments fall back to the default
+			if (arg.tokens.length) {
+				args.set(param.name, arg.tokens)
+			}
+		}
+		
+		for (let param of macro.params) {
+			if (!args.has(param.name)) {
+				if (!param.default) {
+					throw new VMAssemblerError(`Missing argument "${param.name}" for macro "${stmt.name}"`, stmt.location)
+				}
+				
+				args.set(param.name, param.default)
+			}
+		}
+		
+		let id = this.expansions++
+		let locals = new Set()
+		
+		for (let i = 1; i < macro.body.length - 1; i++) {
+			if (macro.body[i - 1].type == "newline" && macro.body[i].type == "identifier" && macro.body[i + 1].text == ":") {
+				locals.add(macro.body[i].text)
+			}
+		}
+		
+		let tokens = []
+		let isWord = (tokens) => tokens.length == 1 && (tokens[0].type == "identifier" || tokens[0].type == "number")
+		let last = []
+		
+		for (let i = 0; i < macro.body.length; i++) {
+			let token = macro.body[i]
+			let location = stmt.location.expand(stmt.name, token.location)
+			let expanded
+			
+			if (token.type == "param") {
+				let name = token.text.slice(1)
+				
+				if (name == "@") {
+					expanded = [new VMAssemblerToken("number", String(id), location)]
+				} else if (args.has(name)) {
+					expanded = args.get(name)
+				} else {
+					throw new VMAssemblerError(`Macro "${stmt.name}" has no parameter "${name}"`, token.location)
+				}
+			} else if (token.type == "identifier" && locals.has(token.text)) {
+				expanded = [new VMAssemblerToken("identifier", `__${stmt.name}_${token.text}_${id}`, location)]
+			} else {
+				expanded = [new VMAssemblerToken(token.type, token.text, location)]
+			}
+			
+			let previous = macro.body[i - 1]
+			let touching = previous && previous.location.line == token.location.line && previous.location.column + previous.text.length == token.location.column
+			
+			if (touching && (previous.type == "param" || token.type == "param") && isWord(last) && isWord(expanded)) {
+				tokens[tokens.length - 1] = new VMAssemblerToken(last[0].type, last[0].text + expanded[0].text, last[0].location)
+				expanded = [tokens[tokens.length - 1]]
+			} else {
+				tokens.push(...expanded)
+			}
+			
+			last = expanded
+		}
+		
+		return tokens
+	}
+	
+	expandRepeat(stmt) {
+		let { value } = this.resolveOperand(stmt.count)
+		
+		if (!Number.isInteger(value) || value < 0) {
+			throw new VMAssemblerError(`Expected a constant, non-negative count for .rept`, stmt.count.location)
+		}
+		
+		if (value * stmt.body.length > VMAssembler.MAX_REPEAT) {
+			throw new VMAssemblerError(`.rept expands to more than ${VMAssembler.MAX_REPEAT} tokens`, stmt.location)
+		}
+		
+		let tokens = []
+		
+		for (let i = 0; i < value; i++) {
+			tokens.push(...stmt.body)
+		}
+		
+		return tokens
+	}
+	
+	// li loads any 32-bit integer, lf any float and la any address, using as few real instructions as possible
+	expandPseudo(stmt, pool) {
+		if (stmt.mnemonic == "call.ext") {
+			return this.expandForeignCall(stmt, pool)
+		}
+		
+		let [reg, valueOperand] = stmt.operands
+		let location = stmt.location
+		
+		if (stmt.operands.length != 2 || reg.type != "register" || !valueOperand.expr && valueOperand.type != "float") {
+			throw new VMAssemblerError(`Expected a register and a value for instruction "${stmt.mnemonic}"`, location)
+		}
+		
+		if (reg.name == "PUSH" || reg.name == "POP") {
+			throw new VMAssemblerError(`Can't use $${reg.name} with instruction "${stmt.mnemonic}"`, reg.location)
+		}
+		
+		let instr = (mnemonic, ...operands) => ({ type: "instruction", mnemonic, operands, location })
+		let imm = (expr) => ({ type: "immediate", expr: typeof expr == "number" ? { type: "number", value: expr } : expr, location })
+		let push = { type: "register", name: "PUSH", location }
+		let pop = { type: "register", name: "POP", location }
+		
+		// labels aren't known until link time, so anything that uses one always needs the full sequence
+		let loadHalves = (expr) => [
+			instr("cvt.int.i", reg, imm({ type: "half", part: "hi", operand: expr })), instr("cvt.int.i", push, imm(16)), instr("shl", reg, reg, pop),
+			instr("cvt.int.i", push, imm({ type: "half", part: "lo", operand: expr })), instr("add", reg, reg, pop)
+		]
+		
+		if (stmt.mnemonic == "lf") {
+			let value = valueOperand.type == "float" ? valueOperand.value : VMExpression.literalValue(valueOperand.expr)
+			
+			if (value == null) {
+				throw new VMAssemblerError(`Expected a float value for instruction "lf"`, valueOperand.location)
+			}
+			
+			if (Number.isInteger(value) && value >= -0x8000 && value < 0x8000 && !Object.is(value, -0)) {
+				return [instr("cvt.float.i", reg, imm(value))]
+			}
+			
+			// rodata can end up anywhere, so the literal's address is loaded like la does
+			let literal = this.lowerLiteral({ type: "float", value, location }, pool)
+			return [...loadHalves(literal.expr), instr("cvt.ptr.r", reg, reg), instr("read.float", reg, reg, { type: "register", name: "ZERO", location })]
+		}
+		
+		if (stmt.mnemonic == "la") {
+			valueOperand = this.bareLabel(valueOperand)
+		}
+		
+		let { value, expr } = this.resolveOperand(valueOperand)
+		let seq = []
+		
+		if (expr) {
+			seq.push(...loadHalves(expr))
+		} else {
+			if (!Number.isInteger(value) || value < -0x80000000 || value > 0xFFFFFFFF) {
+				throw new VMAssemblerError(`Value ${value} doesn't fit in 32 bits`, valueOperand.location)
+			}
+			
+			value |= 0
+			
+			if (value >= -0x8000 && value < 0x8000) {
+				return [instr(stmt.mnemonic == "la" ? "cvt.ptr.i" : "cvt.int.i", reg, imm(value))]
+			}
+			
+			// the low half gets sign extended, so the high half has to make up for it
+			let lo = (value << 16) >> 16
+			let hi = ((value - lo) | 0) >> 16
+			
+			seq.push(instr("cvt.int.i", reg, imm(hi)), instr("cvt.int.i", push, imm(16)), instr("shl", reg, reg, pop))
+			
+			if (lo) {
+				seq.push(instr("cvt.int.i", push, imm(lo)), instr("add", reg, reg, pop))
+			}
+		}
+		
+		if (stmt.mnemonic == "la") {
+			seq.push(instr("cvt.ptr.r", reg, reg))
+		}
+		
+		return seq
+	}
+	
+	// string and float operands are put in rodata and replaced with a reference to them
+	// literals are pooled in rodata under a name made from their contents, so the same one is only stored once
+	lowerLiteral(operand, pool) {
+		if (operand.type != "string" && operand.type != "float") {
+			return operand
+		}
+		
+		let key = operand.type == "string" ? `str:${operand.value}` : `float:${Object.is(operand.value, -0) ? "-0" : Math.fround(operand.value)}`
+		let labelName = this.literals.get(key)
+		
+		if (!labelName) {
+			labelName = `__${operand.type == "string" ? "str" : "float"}_${VMAssembler.hash(key).toString(16).padStart(8, "0")}`
+			
+			// another literal with the same hash
+			while (labelName in pool.labels) {
+				labelName += "_"
+			}
+			
+			this.literals.set(key, labelName)
+			pool.addLabel(labelName)
+			
+			if (operand.type == "string") {
+				pool.apply(this.directiveUtf8, [operand])
+			} else {
+				pool.apply(this.directiveFloat, [operand])
+			}
+		}
+		
+		return { type: "immediate", expr: { type: "label", name: labelName, relative: false }, location: operand.location }
+	}
+	
+	// for operands that are usually addresses, a bare name that isn't a constant is taken as a label
+	bareLabel(operand) {
+		if (operand.expr?.type == "symbol" && !this.constants.has(operand.expr.name)) {
+			return { ...operand, type: "immediate", expr: { type: "label", name: operand.expr.name, relative: false } }
+		}
+		
+		return operand
+	}
+	
+	// puts constants into an operand's expression, and evaluates it if it doesn't depend on any labels
+	resolveOperand(operand) {
+		if (!operand.expr) {
+			return operand
+		}
+		
+		let expr = VMExpression.substitute(operand.expr, (name, node) => {
+			if (!this.constants.has(name)) {
+				throw new VMAssemblerError(`Undefined constant "${name}"`, node.location)
+			}
+			
+			return this.constants.get(name).expr
+		})
+		
+		if (VMExpression.isConstant(expr)) {
+			return { type: operand.type, value: VMExpression.evaluate(expr, null, operand.location), location: operand.location }
+		}
+		
+		return { type: operand.type, expr, location: operand.location }
+	}
+	
+	declareForeign(stmt) {
+		if (!VMAssembler.isIdentifier(stmt.name)) {
+			throw new VMAssemblerError(`Invalid function name "${stmt.name}"`, stmt.location)
+		}
+		
+		if (this.foreign.has(stmt.name)) {
+			throw new VMAssemblerError(`External function "${stmt.name}" is already declared`, stmt.location)
+		}
+		
+		let params = stmt.params?.map((param) => param.type) ?? null
+		let error = VMForeignFunction.check(stmt.path, params, stmt.result)
+		
+		if (error) {
+			throw new VMAssemblerError(error, stmt.location)
+		}
+		
+		this.foreign.set(stmt.name, new VMForeignFunction(stmt.path, params, stmt.result))
+	}
+	
+	// call.ext name, arg, ... pushes the arguments and their count, fetches the function with the extern environment function and calls it
+	// strings and immediates are checked against the signature here, registers only when it's called
+	// pushes a ptr to a literal put in rodata, with the full address since rodata can end up anywhere
+	// the halves are worked out on the stack, so the generated code doesn't need a register of its own
+	pushLiteralAddress(operand, pool, location) {
+		let instr = (mnemonic, ...operands) => ({ type: "instruction", mnemonic, operands, location })
+		let imm = (expr) => ({ type: "immediate", expr: typeof expr == "number" ? { type: "number", value: expr } : expr, location })
+		let push = { type: "register", name: "PUSH", location }
+		let pop = { type: "register", name: "POP", location }
+		let { expr } = this.lowerLiteral(operand, pool)
+		
+		return [
+			instr("cvt.int.i", push, imm(16)), instr("cvt.int.i", push, imm({ type: "half", part: "hi", operand: expr })), instr("shl", push, pop, pop),
+			instr("cvt.int.i", push, imm({ type: "half", part: "lo", operand: expr })), instr("add", push, pop, pop), instr("cvt.ptr.r", push, pop)
+		]
+	}
+	
+	expandForeignCall(stmt, pool) {
+		let [target, ...args] = stmt.operands
+		let location = stmt.location
+		let func = this.foreign.get(target?.expr?.type == "symbol" ? target.expr.name : null)
+		
+		if (!func) {
+			throw new VMAssemblerError(`Expected an external function declared with .extern name = path (types) -> type`, target?.location ?? location)
+		}
+		
+		try {
+			func.checkArity(args.length)
+		} catch (err) {
+			throw new VMAssemblerError(err.message, location)
+		}
+		
+		let instr = (mnemonic, ...operands) => ({ type: "instruction", mnemonic, operands, location })
+		let push = { type: "register", name: "PUSH", location }
+		let pop = { type: "register", name: "POP", location }
+		let seq = []
+		
+		// the first argument is popped first
+		for (let i = args.length - 1; i >= 0; i--) {
+			let arg = args[i]
+			let type = func.getParamType(i)
+			let literal = arg.type == "float" ? arg.value : arg.expr ? VMExpression.literalValue(arg.expr) : null
+			let isFloat = literal != null && (!Number.isInteger(literal) || Object.is(literal, -0))
+			let given = arg.type == "register" ? null : arg.type == "string" ? "str" : isFloat ? "float" : arg.expr ? "int" : arg.type
+			
+			if (arg.type == "register" && (arg.name == "PUSH" || arg.name == "POP")) {
+				throw new VMAssemblerError(`Can't pass $${arg.name} to an external function`, arg.location)
+			}
+			
+			if (given != null && !(type == "any" || type == "auto" || type == given || (type == "float" || type == "bool") && given == "int")) {
+				throw new VMAssemblerError(`Argument ${i + 1} of ${target.expr.name} should be ${type}, got ${given == "str" ? "a string" : given == "float" ? "a float" : given == "int" ? "an immediate" : arg.type}`, arg.location)
+			}
+			
+			if (arg.type == "register") {
+				seq.push(instr("push.r", arg))
+			} else if (arg.type == "string") {
+				seq.push(...this.pushLiteralAddress(arg, pool, location))
+			} else if (isFloat) {
+				// the same as lf, but onto the stack
+				seq.push(...this.pushLiteralAddress({ type: "float", value: literal, location: arg.location }, pool, location), instr("read.float", push, pop, { type: "register", name: "ZERO", location }))
+			} else {
+				seq.push(instr("push.i", { ...arg, type: "immediate" }))
+			}
+		}
+		
+		seq.push(instr("push.i", { type: "immediate", expr: { type: "number", value: args.length }, location }))
+		seq.push(...this.pushLiteralAddress({ type: "string", value: VMForeignFunction.format(func.path, func.params, func.result), location }, pool, location))
+		seq.push(...this.pushLiteralAddress({ type: "string", value: "extern", location }, pool, location))
+		seq.push(instr("load", push, pop), instr("call.r", pop), instr("call.r", pop))
+		
+		return seq
+	}
+	
+	defineConstant(stmt) {
+		let [nameOperand, valueOperand] = stmt.operands
+		
+		if (stmt.operands.length != 2 || nameOperand.expr?.type != "symbol" || !valueOperand.expr) {
+			throw new VMAssemblerError(`Expected a name and a value for .${stmt.name}`, stmt.location)
+		}
+		
+		let name = nameOperand.expr.name
+		let existing = this.constants.get(name)
+		
+		if (existing && !(existing.reassignable && stmt.name == "set")) {
+			throw new VMAssemblerError(`Constant "${name}" is already defined`, nameOperand.location)
+		}
+		
+		let { value, expr } = this.resolveOperand(valueOperand)
+		this.constants.set(name, { expr: expr ?? { type: "number", value }, reassignable: stmt.name == "set" })
+	}
+	
+	encode(op, values, substrate) {
+		let bits = op.encoding.slice()
+		let num = 0
+		
+		for (let j = 0; j < bits.length; j++) {
+			num <<= 1
+			substrate = (substrate << 1) | (substrate >>> 31)
+			
+			if (bits[j] in values) {
+				let obj = values[bits[j]]
+				num |= +obj.value[obj.i++]
+			} else {
+				switch (bits[j]) {
+					case "0":
+						break
+					
+					case "1":
+						num |= 1
+						break
+					
+					default:
+						num |= substrate & 1
+						break
+				}
+			}
+		}
+		
+		return num
+	}
+	
+	// returns a VMSourceText so that expanded code can still be traced back to where it was written
+	preprocess(code, filename, errors = []) {
+		// strings are matched too so that // inside them isn't taken as a comment
+		let source = VMSourceText.fromString(code, filename).replace(/"(?:[^"\\\n]|\\.)*"|\/\/.*$/gm, (match) => match[0] == "\"" ? match : "")
+		
+		let macros = [...source.text.matchAll(/^[^\S\n]*DEFINE.*$/gm)].map((match) => ({
+			text: match[0],
+			location: source.locations[match.index + match[0].search(/\S/)]
+		}))
+		
+		source = source.replace(/^[^\S\n]*DEFINE.*\n?/gm, () => "")
+		
+		for (let i = macros.length - 1; i >= 0; i--) {
+			let [decl, search, ...replace] = macros[i].text.trim().split(/\s+/)
+			replace = replace.join(" ")
+			
+			if (decl == "DEFINE") {
+				source = source.replace(new RegExp(VMSourceText.escapeRegExp("[" + search + "]"), "g"), () => replace, (location) => location.expand(search, macros[i].location))
+			} else if (decl == "DEFINEX") {
+				let groups = search.match(/^\((\w+)((?:;\?\w+)*)\)$/)
+				
+				if (groups == null) {
+					errors.push(new VMAssemblerError(`Syntax error in macro declaration "${search}"`, macros[i].location))
+					continue
+				}
+				
+				let [_, tag, params] = groups
+				params = params.split(";").slice(1)
+				
+				source = source.replace(new RegExp("\\[" + tag + "\\]" + "\\s+([^\\s;]+)".repeat(params.length), "g"), (_, ...args) => {
+					let str = replace
+					
+					for (let i = 0; i < args.length; i++) {
+						str = str.replaceAll(params[i], args[i])
+					}
+					
+					return str
+				}, (location) => location.expand(tag, macros[i].location))
+			} else {
+				errors.push(new VMAssemblerError(`Unrecognized macro declaration "${decl}"`, macros[i].location))
+			}
+		}
+
+		return source
+	}
+	
+	directiveInt(args) {
+		for (let i = 0; i < args.length; i++) {
+			if (args[i].expr) {
+				this.addReference(args[i].expr, 0, args[i].location, "word")
+				this.pushInt(0)
+				continue
+			}
+			
+			if ((args[i].type != "number" && args[i].type != "immediate") || !Number.isInteger(args[i].value)) {
+				throw new VMAssemblerError(`Unrecognized integer value`, args[i].location)
+			}
+			
+			if (args[i].value < -0x80000000 || args[i].value > 0xFFFFFFFF) {
+				throw new VMAssemblerError(`Value ${args[i].value} doesn't fit in 32 bits`, args[i].location)
+			}
+			
+			this.pushInt(args[i].value | 0)
+		}
+	}
+	
+	directiveFloat(args) {
+		for (let i = 0; i < args.length; i++) {
+			let value = args[i].expr ? VMExpression.literalValue(args[i].expr) : args[i].value
+			
+			if (value == null || args[i].type != "number" && args[i].type != "immediate" && args[i].type != "float") {
+				throw new VMAssemblerError(`Unrecognized float value`, args[i].location)
+			}
+			
+			this.pushFloat(value)
+		}
+	}
+	
+	directivePtr(args) {
+		for (let i = 0; i < args.length; i++) {
+			if (args[i].expr) {
+				this.addReference(args[i].expr, 0, args[i].location, "word")
+				this.pushInt(0)
+				continue
+			}
+			
+			if ((args[i].type != "number" && args[i].type != "immediate") || !Number.isInteger(args[i].value)) {
+				throw new VMAssemblerError(`Unrecognized pointer value`, args[i].location)
+			}
+			
+			if (args[i].value < 0 || args[i].value > 0xFFFFFFFF) {
+				throw new VMAssemblerError(`Pointer value ${args[i].value} doesn't fit in 32 bits`, args[i].location)
+			}
+			
+			this.pushInt(args[i].value | 0)
+		}
+	}
+	
+	directiveUtf8(args) {
+		if (args.length != 1 || args[0].type != "string") {
+			throw new VMAssemblerError(`Expected a single string`, args[0]?.location ?? this.location)
+		}
+		
+		this.pushString(args[0].value)
+	}
+	
+	// .align boundary[, fill], the boundary is in words
+	directiveAlign(args) {
+		let [boundary, fill = { value: 0 }] = args
+		
+		if (args.length < 1 || args.length > 2 || !Number.isInteger(boundary.value) || boundary.value < 1 || (boundary.value & (boundary.value - 1)) != 0) {
+			throw new VMAssemblerError(`Expected a power of two for .align`, boundary?.location ?? this.location)
+		}
+		
+		if (!Number.isInteger(fill.value) || this.section == "bss" && fill.value != 0) {
+			throw new VMAssemblerError(`Unrecognized fill value${this.section == "bss" ? ", .bss can only be filled with 0" : ""}`, fill.location)
+		}
+		
+		this.align = Math.max(this.align, boundary.value)
+		
+		while (this.addr % boundary.value != 0) {
+			this.pushInt(fill.value | 0)
+		}
+	}
+	
+	// .space count[, value] and .zero count
+	directiveSpace(args) {
+		let [count, fill = { value: 0 }] = args
+		
+		if (args.length < 1 || args.length > 2 || !Number.isInteger(count.value) || count.value < 0 || count.value > VM.MAIN_MEMORY_SIZE) {
+			throw new VMAssemblerError(`Expected a word count that fits in memory`, count?.location ?? this.location)
+		}
+		
+		if (!Number.isInteger(fill.value) || this.section == "bss" && fill.value != 0) {
+			throw new VMAssemblerError(`Unrecognized fill value${this.section == "bss" ? ", .bss can only be filled with 0" : ""}`, fill.location)
+		}
+		
+		for (let i = 0; i < count.value; i++) {
+			this.pushInt(fill.value | 0)
+		}
+	}
+	
+	// .fill count, value repeats any .int value, including label references
+	directiveFill(args) {
+		let [count, value] = args
+		
+		if (args.length != 2 || !Number.isInteger(count.value) || count.value < 0 || count.value > VM.MAIN_MEMORY_SIZE) {
+			throw new VMAssemblerError(`Expected a word count that fits in memory and a value`, count?.location ?? this.location)
+		}
+		
+		for (let i = 0; i < count.value; i++) {
+			this.apply(VMAssembler.prototype.directiveInt, [value])
+		}
 	}
 }
 
-class VMAssembler {
-	// why am i doing this like this
-	static OPS = {
-		"ipush":            new VMAssemblerOp("????1??? ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"nop":              new VMAssemblerOp("0000S??? ???????? AAAAAAAA AAAAAAAA", true,  []),
-		"exit.i":           new VMAssemblerOp("0001???0 ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"exit.r":           new VMAssemblerOp("0001???1 ???RRRRR ???????? ????????", false, ["$R"]),
-		"push.i":           new VMAssemblerOp("0010???0 ???????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"push.r":           new VMAssemblerOp("0010S??1 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"pop":              new VMAssemblerOp("0011S??0 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"ipop.int":         new VMAssemblerOp("0011S?01 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"ipop.ptr":         new VMAssemblerOp("0011S?11 ???RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"ret":              new VMAssemblerOp("0100S??? ???????? AAAAAAAA AAAAAAAA", true,  []),
-		"get":              new VMAssemblerOp("01010?00 ???YYYYY ???XXXXX ????????", false, ["$Y", "$X"]),
-		"getp":             new VMAssemblerOp("01010?01 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Y", "$Z", "$X"]),
-		"load":             new VMAssemblerOp("01010?10 ???YYYYY ???XXXXX ????????", false, ["$Y", "$X"]),
-		"loadp":            new VMAssemblerOp("01010?11 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Y", "$Z", "$X"]),
-		"set":              new VMAssemblerOp("01011??0 ???YYYYY ???XXXXX ????????", false, ["$X", "$Y"]),
-		"setp":             new VMAssemblerOp("01011??1 ???YYYYY ???XXXXX ???ZZZZZ", false, ["$Z", "$X", "$Y"]),
-		"b.i":              new VMAssemblerOp("0110?000 0??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"b.r":              new VMAssemblerOp("0110S001 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"b.abs.i":          new VMAssemblerOp("0110?010 0??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"b.abs.r":          new VMAssemblerOp("0110S011 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"call.i":           new VMAssemblerOp("0110S110 0??????? AAAAAAAA AAAAAAAA", true,  ["#A"]),
-		"call.r":           new VMAssemblerOp("0110S111 0??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"bc.i":             new VMAssemblerOp("0110?000 1??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"bc.r":             new VMAssemblerOp("0110S001 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"bc.abs.i":         new VMAssemblerOp("0110?010 1??????? AAAAAAAA AAAAAAAA", false, ["#A"]),
-		"bc.abs.r":         new VMAssemblerOp("0110S011 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"callc.i":          new VMAssemblerOp("0110S110 1??????? AAAAAAAA AAAAAAAA", true,  ["#A"]),
-		"callc.r":          new VMAssemblerOp("0110S111 1??RRRRR AAAAAAAA AAAAAAAA", true,  ["$R"]),
-		"c.cmp.i":          new VMAssemblerOp("0111S000 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.eq.i":           new VMAssemblerOp("0111S001 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.lt.i":           new VMAssemblerOp("0111S010 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.gt.i":           new VMAssemblerOp("0111S011 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.not":            new VMAssemblerOp("0111S100 ??0XXXXX AAAAAAAA AAAAAAAA", true,  ["$X"]),
-		"c.neq.i":          new VMAssemblerOp("0111S101 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.gte.i":          new VMAssemblerOp("0111S110 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.lte.i":          new VMAssemblerOp("0111S111 ??0XXXXX AAAAAAAA AAAAAAAA", false, ["$X", "#A"]),
-		"c.cmp.r":          new VMAssemblerOp("0111?000 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.eq.r":           new VMAssemblerOp("0111?001 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.lt.r":           new VMAssemblerOp("0111?010 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.null":           new VMAssemblerOp("0111?011 ??1XXXXX ???YYYYY ????????", false, ["$Y", "$X"]),
-		"c.same":           new VMAssemblerOp("0111?100 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.neq.r":          new VMAssemblerOp("0111?101 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.gte.r":          new VMAssemblerOp("0111?110 ??1XXXXX ???YYYYY ???ZZZZZ", false, ["$Y", "$X", "$Z"]),
-		"c.nnull":          new VMAssemblerOp("0111?111 ??1XXXXX ???YYYYY ????????", false, ["$Y", "$X"]),
-		"cvt.null.i":       new VMAssemblerOp("1000S000 ??0YYYYY AAAAAAAA AAAAAAAA", true,  ["$Y", "#A"]),
-		"cvt.int.i":        new VMAssemblerOp("1000S001 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
-		"cvt.float.i":      new VMAssemblerOp("1000S010 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
-		"cvt.ptr.i":        new VMAssemblerOp("1000S011 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
-		"cvt.ext.i":        new VMAssemblerOp("1000S100 ??0YYYYY AAAAAAAA AAAAAAAA", false, ["$Y", "#A"]),
-		"cvt.null.r":       new VMAssemblerOp("10000000 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
-		"cvt.int.r":        new VMAssemblerOp("10000001 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
-		"cvt.float.r":      new VMAssemblerOp("10000010 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
-		"cvt.ptr.r":        new VMAssemblerOp("10000011 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
-		"cvt.ext.r":        new VMAssemblerOp("10000100 ??1YYYYY ???????? ???XXXXX", false, ["$Y", "$X"]),
-		"repr.null.null":   new VMAssemblerOp("10001000 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.null.int":    new VMAssemblerOp("10001001 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.null.float":  new VMAssemblerOp("10001010 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.null.ptr":    new VMAssemblerOp("10001011 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.null.ext":    new VMAssemblerOp("10001100 ??1YYYYY ???00000 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.int.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.int.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.int.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.int.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.int.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00001 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.float.null":  new VMAssemblerOp("10001000 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.float.int":   new VMAssemblerOp("10001001 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.float.float": new VMAssemblerOp("10001010 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.float.ptr":   new VMAssemblerOp("10001011 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.float.ext":   new VMAssemblerOp("10001100 ??1YYYYY ???00010 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ptr.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ptr.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ptr.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ptr.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ptr.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00011 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ext.null":    new VMAssemblerOp("10001000 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ext.int":     new VMAssemblerOp("10001001 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ext.float":   new VMAssemblerOp("10001010 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ext.ptr":     new VMAssemblerOp("10001011 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
-		"repr.ext.ext":     new VMAssemblerOp("10001100 ??1YYYYY ???00100 ???XXXXX", false, ["$Y", "$X"]),
-		"add":              new VMAssemblerOp("10010000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"add.f":            new VMAssemblerOp("10011000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"sub":              new VMAssemblerOp("10010001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"sub.f":            new VMAssemblerOp("10011001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"mult":             new VMAssemblerOp("10010010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"mult.f":           new VMAssemblerOp("10011010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"div":              new VMAssemblerOp("10010011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"div.f":            new VMAssemblerOp("10011011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"mod":              new VMAssemblerOp("10010100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"mod.f":            new VMAssemblerOp("10011100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"and":              new VMAssemblerOp("10010101 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"or":               new VMAssemblerOp("10011101 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"xor":              new VMAssemblerOp("10010110 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"xnor":             new VMAssemblerOp("10011110 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"shl":              new VMAssemblerOp("10010111 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"shr":              new VMAssemblerOp("10011111 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"read.null":        new VMAssemblerOp("10100000 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"read.int":         new VMAssemblerOp("10100001 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"read.float":       new VMAssemblerOp("10100010 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"read.ptr":         new VMAssemblerOp("10100011 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"read.ext":         new VMAssemblerOp("10100100 ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"write":            new VMAssemblerOp("10101??? ???ZZZZZ ???XXXXX ???YYYYY", false, ["$Z", "$X", "$Y"]),
-		"dbg":              new VMAssemblerOp("11110??0 ???????? ???????? ????????", false, []),
-		"dbgp":             new VMAssemblerOp("11110??1 ???XXXXX ???????? ????????", false, ["$X"]),
-		"break":            new VMAssemblerOp("11111??? ???????? ???????? ????????", false, []),
+// where everything ended up in the output of VMLinker, JSON.stringify gives the same thing as JSON
+class VMLinkerMap {
+	static hex(num) {
+		return `0x${num.toString(16).padStart(8, "0")}`
 	}
 	
-	static DIRECTIVE_METHODS = {
-		"int":    "directiveInt",
-		"float":  "directiveFloat",
-		"ptr":    "directivePtr",
-		"utf8":   "directiveUtf8",
-		"string": "directiveUtf8",
-		"str":    "directiveUtf8"
+	constructor() {
+		// { name, start, end, size }
+		this.sections = []
+		
+		// { name, addr, size, section, file, binding }, under the names the executable has for them
+		this.symbols = []
+		
+		// { addr, type, target, value, file }
+		this.relocations = []
+		
+		// labels that were garbage collected, { name, file, section, size }
+		this.discarded = []
 	}
 	
-	static isIdentifier(str) {
-		return /^[A-Za-z_][A-Za-z0-9_]+?$/.test(str)
+	toString() {
+		let out = ["Sections:"]
+		
+		for (let section of this.sections) {
+			out.push(`\t${section.name.padEnd(8)} ${VMLinkerMap.hex(section.start)} - ${VMLinkerMap.hex(section.end)} size ${section.size}`)
+		}
+		
+		out.push("", "Symbols:")
+		
+		for (let symbol of this.symbols) {
+			out.push(`\t${VMLinkerMap.hex(symbol.addr)} ${String(symbol.size).padStart(6)} ${symbol.section.padEnd(8)} ${symbol.binding.padEnd(6)} ${symbol.name} (${symbol.file})`)
+		}
+		
+		out.push("", "Relocations:")
+		
+		for (let reloc of this.relocations) {
+			out.push(`\t${VMLinkerMap.hex(reloc.addr)} ${reloc.type.padEnd(4)} ${reloc.target} = ${reloc.value} (${reloc.file})`)
+		}
+		
+		if (this.discarded.length > 0) {
+			out.push("", "Discarded:")
+			
+			for (let symbol of this.discarded) {
+				out.push(`\t${String(symbol.size).padStart(6)} ${symbol.section.padEnd(8)} ${symbol.name} (${symbol.file})`)
+			}
+		}
+		
+		return out.join("\n")
 	}
+}
+
+class VMLinker {
+	// instructions that never carry on to the next word
+	static TERMINATORS = ["exit.i", "exit.r", "ret", "b.i", "b.r", "b.abs.i", "b.abs.r"]
+	
+	// sections that garbage collection can drop parts of
+	static COLLECTED_SECTIONS = ["text", "rodata"]
 	
 	constructor(vm) {
 		this.vm = vm
+		
+		// link() leaves a VMLinkerMap of its output in map when this is set
+		this.mapEnabled = false
+		this.map = null
+		
+		// drops the parts of text and rodata that can't be reached, see collectGarbage
+		this.gcEnabled = false
+		
+		// names of labels that garbage collection keeps along with the global and weak ones
+		this.keep = []
+	}
+	
+	// objects without a unit get one of their own where all of their labels are global
+	getUnits(objects) {
+		return new Map(objects.map((object) => [object, object.unit ?? new VMBytecodeUnit("<object>", Object.fromEntries(Object.keys(object.labels).map((label) => [label, "global"])))]))
+	}
+	
+	// sets the binding of each symbol and returns the definition each global name refers to
+	// a strong definition beats a weak one, two weak ones keep the first
+	bindSymbols(symbols, errors) {
+		let describe = (symbol) => symbol.unit ? symbol.unit.file : "the linker"
+		let globals = {}
+		
+		for (let symbol of symbols) {
+			symbol.binding = symbol.unit ? symbol.unit.bindings[symbol.name] ?? "local" : "global"
+			
+			if (symbol.binding != "global" && symbol.binding != "weak") {
+				continue
+			}
+			
+			let existing = globals[symbol.name]
+			
+			if (existing && existing.binding == "global" && symbol.binding == "global") {
+				errors.push(new VMAssemblerError(`Symbol "${symbol.name}" is defined in both ${describe(existing)} and ${describe(symbol)}`, symbol.location))
+			} else if (!existing || existing.binding == "weak" && symbol.binding == "global") {
+				globals[symbol.name] = symbol
+			}
+		}
+		
+		return globals
+	}
+	
+	// returns lookup(unit, name), only local labels shadow the global ones, a file's own global or weak label can still be overridden
+	scopeSymbols(symbols, globals) {
+		let scopes = new Map()
+		
+		for (let symbol of symbols) {
+			if (symbol.unit) {
+				if (!scopes.has(symbol.unit)) {
+					scopes.set(symbol.unit, {})
+				}
+				
+				scopes.get(symbol.unit)[symbol.name] = symbol
+			}
+		}
+		
+		return (unit, name) => {
+			let own = scopes.get(unit)?.[name]
+			return own?.binding == "local" ? own : globals[name] ?? own
+		}
+	}
+	
+	// splits the text and rodata objects at their labels and keeps the pieces that can be reached from the entry point
+	// (the start of the first text object), from global and weak labels, from the labels in keep and from the other sections
+	// a piece of text that doesn't end with a jump, return or exit carries on into the next one, so it keeps that one too
+	// returns the new objects and pushes what was dropped onto discarded
+	collectGarbage(objects, discarded) {
+		let units = this.getUnits(objects)
+		let disassembler = this.vm.create(VMDisassembler)
+		let entry = objects.find((object) => object.section == "text")
+		
+		let symbols = []
+		let pieces = new Map()
+		
+		for (let object of objects) {
+			let starts = [...new Set([0, ...Object.values(object.labels)])].filter((offset) => offset < object.data.length).sort((a, b) => a - b)
+			let list = starts.map((start, i) => ({ start, end: starts[i + 1] ?? object.data.length, labels: [], relocations: [], reachable: false }))
+			let find = (offset) => list.findLast((piece) => piece.start <= offset) ?? null
+			
+			for (let label in object.labels) {
+				let piece = find(object.labels[label])
+				piece?.labels.push(label)
+				symbols.push({ name: label, unit: units.get(object), location: object.sourceMap[object.labels[label]] ?? null, piece })
+			}
+			
+			for (let reloc of object.relocations) {
+				find(reloc.addr)?.relocations.push(reloc)
+			}
+			
+			pieces.set(object, list)
+		}
+		
+		let globals = this.bindSymbols(symbols, [])
+		let lookup = this.scopeSymbols(symbols, globals)
+		let queue = []
+		
+		let mark = (piece) => {
+			if (piece && !piece.reachable) {
+				piece.reachable = true
+				queue.push(piece)
+			}
+		}
+		
+		for (let object of objects) {
+			if (!VMLinker.COLLECTED_SECTIONS.includes(object.section)) {
+				pieces.get(object).forEach(mark)
+			}
+		}
+		
+		if (entry) {
+			mark(pieces.get(entry)[0])
+		}
+		
+		for (let symbol of symbols) {
+			if (symbol.binding == "global" || symbol.binding == "weak" || this.keep.includes(symbol.name)) {
+				mark(symbol.piece)
+			}
+		}
+		
+		for (let object of objects) {
+			let unit = units.get(object)
+			let list = pieces.get(object)
+			
+			for (let i = 0; i < list.length; i++) {
+				list[i].next = null
+				list[i].follow = (name) => mark(lookup(unit, name)?.piece)
+				
+				if (object.section == "text" && !VMLinker.TERMINATORS.includes(disassembler.decode(object.data[list[i].end - 1])?.name)) {
+					list[i].next = list[i + 1] ?? null
+				}
+			}
+		}
+		
+		while (queue.length > 0) {
+			let piece = queue.pop()
+			
+			for (let reloc of piece.relocations) {
+				if (reloc.expr) {
+					VMExpression.substitute(reloc.expr, (name, node) => (piece.follow(name), node), "label")
+				} else {
+					piece.follow(reloc.label)
+				}
+			}
+			
+			mark(piece.next)
+		}
+		
+		return objects.map((object) => {
+			let list = pieces.get(object)
+			
+			if (list.every((piece) => piece.reachable)) {
+				return object
+			}
+			
+			let copy = this.vm.create(VMBytecodeObject, [], {}, [], [], object.section, object.unit)
+			copy.align = object.align
+			
+			for (let piece of list) {
+				if (!piece.reachable) {
+					for (let label of piece.labels) {
+						discarded.push({ name: label, file: units.get(object).file, section: object.section, size: piece.end - object.labels[label] })
+					}
+					
+					continue
+				}
+				
+				// pieces stay where they were modulo the alignment of the object, so .align inside it still holds
+				copy.location = null
+				
+				while ((copy.addr - piece.start) % object.align != 0) {
+					copy.pushInt(0)
+				}
+				
+				let shift = copy.addr - piece.start
+				
+				for (let label of piece.labels) {
+					copy.labels[label] = object.labels[label] + shift
+				}
+				
+				for (let reloc of piece.relocations) {
+					copy.relocations.push(new VMBytecodeRelocation(reloc.rel, reloc.addr + shift, reloc.label, reloc.location, reloc.expr, reloc.type))
+				}
+				
+				for (let i = piece.start; i < piece.end; i++) {
+					copy.location = object.sourceMap[i] ?? null
+					copy.pushInt(object.data[i])
+				}
+			}
+			
+			// labels at the very end don't belong to any piece
+			for (let label in object.labels) {
+				if (object.labels[label] >= object.data.length) {
+					copy.labels[label] = copy.addr
+				}
+			}
+			
+			return copy
+		})
 	}
 	
-	// too lazy to do proper tokenizing
-	assemble(code) {
-		code = this.preprocess(code)
+	// sections go in the order of VMBytecodeObject.SECTIONS, then any others, objects keep their order within a section
+	// __<section>_start and __<section>_end labels are added around each one
+	// a label is looked up in the unit that refers to it first and then among the global ones, so local labels of different files never clash
+	link(...objects) {
+		objects = objects.flat()
 		
-		let line = []
+		let map = new VMLinkerMap()
 		
-		let lastNum = 0
-		let lastIrs = false
+		if (this.gcEnabled) {
+			objects = this.collectGarbage(objects, map.discarded)
+		}
+		
+		let obj = this.vm.create(VMBytecodeObject)
+		let sections = [...new Set([...VMBytecodeObject.SECTIONS, ...objects.map((object) => object.section)])]
+		let units = this.getUnits(objects)
 		
-		let textObj = this.vm.create(VMBytecodeObject)
-		let rodataObj = this.vm.create(VMBytecodeObject)
+		// every label in the order it was laid out, and the relocations that still have to be resolved
+		let symbols = []
+		let pending = []
 		
-		for (let i = 0; i < code.length; i++) {
-			let chr = code[i]
+		for (let section of sections) {
+			let members = objects.filter((object) => object.section == section)
+			let align = Math.max(1, ...members.map((object) => object.align))
+			
+			obj.location = null
 			
-			if ((chr == ";" || chr == "\n") && line.length) {
-				line = line.filter((e) => e)
+			while (obj.addr % align != 0) {
+				obj.pushInt(0)
+			}
+			
+			let start = obj.addr
+			symbols.push({ name: `__${section}_start`, addr: start, size: 0, section, unit: null, location: null })
+			
+			for (let i = 0; i < members.length; i++) {
+				let unit = units.get(members[i])
 				
-				let [command, ...args] = line
+				obj.location = null
 				
-				if (command.endsWith(":")) {
-					let labelName = command.slice(0, command.length - 1)
-					
-					if (!VMAssembler.isIdentifier(labelName)) {
-						throw new Error(`Invalid label name "${labelName}"`)
-					}
-					
-					textObj.addLabel(labelName)
-
-					line = []
-					continue
+				while (obj.addr % members[i].align != 0) {
+					obj.pushInt(0)
 				}
-
-				for (let j = 0; j < args.length; j++) {
-					if (args[j][0] == "\"" || args[j].startsWith("F#")) {
-						let labelName = "__RODATA_" + (Math.random() * 0x10000000 | 0).toString(16)
-
-						rodataObj.addLabel(labelName)
-
-						if (args[j][0] == "\"") {
-							rodataObj.apply(this.directiveUtf8, [args[j]])
-						} else {
-							rodataObj.apply(this.directiveFloat, [args[j].replace("F#", "#")])
-						}
-						
-						args[j] = "&" + labelName
-					}
+				
+				// a label reaches up to the next one with a different address
+				let offsets = [...new Set(Object.values(members[i].labels)), members[i].data.length].sort((a, b) => a - b)
+				
+				for (let label in members[i].labels) {
+					let offset = members[i].labels[label]
+					let size = (offsets.find((next) => next > offset) ?? offset) - offset
 					
-					if (args[j][0] == "&" || args[j][0] == "^") {
-						textObj.addRelocation(args[j][0] == "^", args[j].slice(1))
-						args[j] = "#0"
-					}
+					symbols.push({ name: label, addr: obj.addr + offset, size, section, unit, location: members[i].sourceMap[offset] ?? null })
 				}
 				
-				if (command.startsWith(".")) {
-					let directiveName = command.slice(1)
-					
-					if (!VMAssembler.isIdentifier(directiveName)) {
-						throw new Error(`Invalid directive name "${directiveName}"`)
-					}
-					
-					let methodName = VMAssembler.DIRECTIVE_METHODS[directiveName]
-					
-					if (!methodName) {
-						throw new Error(`Unrecognized directive "${directiveName}"`)
-					}
-					
-					textObj.apply(this[methodName], args)
-				} else {
-					let ipush = command == "ipush"
-					
-					if (ipush) {
-						if (!lastIrs) {
-							throw new Error(`Could not apply ipush`)
-						}
-						
-						textObj.addr--
-					}
-					
-					let op = VMAssembler.OPS[command]
-					
-					if (!op) {
-						throw new Error(`Unrecognized instruction "${command}"`)
-					}
-					
-					if (args.length != op.args.length) {
-						throw new Error(`Expected ${op.args.length} args for instruction "${command}", got ${args.length}`)
-					}
-					
-					let values = {}
-					
-					for (let j = 0; j < args.length; j++) {
-						let type = args[j][0] == "$" ? "register" : args[j][0] == "#" ? "immediate" : "unknown"
-						let expectedType = op.args[j][0] == "$" ? "register" : op.args[j][0] == "#" ? "immediate" : "unknown"
-						
-						if (type != expectedType) {
-							throw new Error(`Expected argument type ${expectedType} for argument ${j + 1} of instruction "${command}", got type ${type}`)
-						}
-						
-						let ident = args[j].slice(1)
-						let target = op.args[j].slice(1)
-						
-						if (!Number.isNaN(Number(ident))) {
-							ident = Number(ident)
-						} else if (type == "register") {
-							if (ident in VMRegisters.REGISTER_NAMES) {
-								ident = VMRegisters.REGISTER_NAMES[ident]
-							} else {
-								throw new Error(`Unrecognized register identifier ${args[j]}`)
-							}
-						} else {
-							throw new Error(`Unrecognized immediate value ${args[j]}`)
-						}
-						
-						values[target] = { i: 0, value: (ident >>> 0).toString(2).padStart(op.encoding.filter((e) => e == target).length, "0") }
-					}
-					
-					let bits = op.encoding.slice()
-					
-					let substrate = 0
-					let num = 0
-					
-					if (ipush) {
-						values["S"] = { i: 0, value: "1" }
-						substrate = lastNum
-					}
-					
-					for (let j = 0; j < bits.length; j++) {
-						num <<= 1
-						substrate = (substrate << 1) | (substrate >>> 31)
-						
-						if (bits[j] in values) {
-							let obj = values[bits[j]]
-							num |= +obj.value[obj.i++]
-						} else {
-							switch (bits[j]) {
-								case "0":
-									break
-								
-								case "1":
-									num |= 1
-									break
-								
-								default:
-									num |= substrate & 1
-									break
-							}
-						}
-					}
-					
-					textObj.pushInt(num)
-					
-					lastNum = num
-					lastIrs = op.irs
+				for (let j = 0; j < members[i].relocations.length; j++) {
+					let reloc = members[i].relocations[j]
+					pending.push({ reloc: new VMBytecodeRelocation(reloc.rel, obj.addr + reloc.addr, reloc.label, reloc.location, reloc.expr, reloc.type), unit })
 				}
 				
-				line = []
-				continue
+				for (let j = 0; j < members[i].data.length; j++) {
+					obj.location = members[i].sourceMap[j] ?? null
+					obj.pushInt(members[i].data[j])
+				}
 			}
 			
-			if (/\s/.test(chr)) {
-				if (line.length == 1) {
-					line.push("")
-				}
-				
-				continue
+			symbols.push({ name: `__${section}_end`, addr: obj.addr, size: 0, section, unit: null, location: null })
+			obj.sections[section] = { start, end: obj.addr }
+			map.sections.push({ name: section, start, end: obj.addr, size: obj.addr - start })
+		}
+		
+		let errors = []
+		let reserved = new Set(symbols.filter((symbol) => !symbol.unit).map((symbol) => symbol.name))
+		
+		// the section bounds belong to the linker, so nothing else can define them
+		for (let symbol of symbols) {
+			if (symbol.unit && reserved.has(symbol.name)) {
+				errors.push(new VMAssemblerError(`Symbol "${symbol.name}" is reserved for the linker, but ${symbol.unit.file} defines it`, symbol.location))
 			}
+		}
+		
+		symbols = symbols.filter((symbol) => !symbol.unit || !reserved.has(symbol.name))
+		
+		let globals = this.bindSymbols(symbols, errors)
+		
+		// labels that would clash in the executable get the name of their file mangled into theirs, so they're still valid labels
+		let counts = {}
+		
+		for (let symbol of symbols) {
+			counts[symbol.name] = (counts[symbol.name] ?? 0) + 1
+		}
+		
+		for (let symbol of symbols) {
+			symbol.output = symbol.name
 			
-			if (chr == "," && line.length > 1) {
-				line.push("")
-				continue
+			if (globals[symbol.name] != symbol && counts[symbol.name] > 1) {
+				let prefix = `__${String(symbol.unit.file).replace(/[^A-Za-z0-9_]/g, "_")}_${symbol.name}`
+				symbol.output = prefix
+				
+				for (let i = 1; symbol.output in obj.labels; i++) {
+					symbol.output = `${prefix}_${i}`
+				}
 			}
 			
-			if (chr == "\"") {
-				let str = ""
-				let escaped = false
+			obj.labels[symbol.output] = symbol.addr
+			map.symbols.push({ name: symbol.output, addr: symbol.addr, size: symbol.size, section: symbol.section, file: symbol.unit?.file ?? "<linker>", binding: symbol.binding })
+		}
+		
+		let lookup = this.scopeSymbols(symbols, globals)
+		
+		for (let { reloc, unit } of pending) {
+			let resolve = (label, rel) => {
+				let symbol = lookup(unit, label)
 				
-				while (true) {
-					str += code[i]
-					
-					if (str.length > 1 && !escaped && code[i] == "\"") {
-						break
-					}
-					
-					if (code[i] == "\n" || i == code.length - 1) {
-						throw new Error(`Unterminated string`)
-					}
-					
-					if (!escaped && code[i] == "\\") {
-						escaped = true
-					} else {
-						escaped = false
-					}
-					
-					i++
+				// weak references to something nobody defines are null
+				if (!symbol && unit.bindings[label] == "weak") {
+					return 0
 				}
 				
-				if (line[line.length - 1] && line[line.length - 1].length > 0) {
-					line.push(str)
-				} else {
-					line[line.length - 1] = str
+				if (!symbol) {
+					throw new VMAssemblerError(`Undefined symbol "${label}" referenced from ${unit.file}`, reloc.location)
 				}
 				
-				continue
+				return rel ? symbol.addr - reloc.addr : symbol.addr
 			}
 			
-			if (line.length == 0) {
-				line.push(chr)
-			} else {
-				line[line.length - 1] += chr
+			let rename = (label) => lookup(unit, label)?.output ?? label
+			let value
+			
+			let output = new VMBytecodeRelocation(reloc.rel, reloc.addr, reloc.label && rename(reloc.label), reloc.location, reloc.expr && VMExpression.substitute(reloc.expr, (name, node) => ({ ...node, name: rename(name) }), "label"), reloc.type)
+			obj.relocations.push(output)
+			
+			try {
+				value = reloc.expr ? VMExpression.evaluate(reloc.expr, resolve, reloc.location) : resolve(reloc.label, reloc.rel)
+				obj.data[reloc.addr] = reloc.relocate(obj.data[reloc.addr], value)
+				map.relocations.push({ addr: reloc.addr, type: reloc.type, target: output.describe(), value, file: unit.file })
+			} catch (err) {
+				if (!(err instanceof VMAssemblerError)) {
+					throw err
+				}
+				
+				errors.push(err)
 			}
 		}
 		
-		return [textObj, rodataObj]
+		VMAssemblerError.throwAll(errors)
+		
+		this.map = this.mapEnabled ? map : null
+		
+		return obj
 	}
-	
-	preprocess(code) {
-		code = code.replace(/\/\/.+$/gm, "").split("\n")
+}
+
+class VMDisassemblerOp {
+	constructor(name, op) {
+		this.name = name
+		this.op = op
 		
-		let macros = code.filter((line) => line.trim().startsWith("DEFINE"))
-		code = code.filter((line) => !macros.includes(line)).join("\n")
+		this.mask = 0
+		this.match = 0
+		this.fixedBits = 0
+		this.fields = {}
 		
-		for (let i = macros.length - 1; i >= 0; i--) {
-			let [decl, search, ...replace] = macros[i].trim().split(/\s+/)
-			replace = replace.join(" ")
+		for (let i = 0; i < op.encoding.length; i++) {
+			let bit = op.encoding.length - 1 - i
+			let chr = op.encoding[i]
 			
-			if (decl == "DEFINE") {
-				code = code.replaceAll("[" + search + "]", replace)
-			} else if (decl == "DEFINEX") {
-				let groups = search.match(/^\((\w+)((?:;\?\w+)*)\)$/)
-				
-				if (groups == null) {
-					throw new Error(`Syntax error in macro declaration "${search}"`)
-				}
-				
-				let [_, tag, params] = groups
-				params = params.split(";").slice(1)
-				
-				code = code.replace(new RegExp("\\[" + tag + "\\]" + "\\s+([^\\s;]+)".repeat(params.length), "g"), (_, ...args) => {
-					let str = replace
-					
-					for (let i = 0; i < args.length; i++) {
-						str = str.replaceAll(params[i], args[i])
-					}
-					
-					return str
-				})
-			} else {
-				throw new Error(`Unrecognized macro declaration "${decl}"`)
+			if (chr == "0" || chr == "1") {
+				this.mask |= 1 << bit
+				this.match |= +chr << bit
+				this.fixedBits++
+			} else if (chr != "?") {
+				this.fields[chr] ??= { shift: 0, width: 0 }
+				this.fields[chr].shift = bit
+				this.fields[chr].width++
 			}
 		}
-
-		return code
+		
+		this.mask >>>= 0
+		this.match >>>= 0
 	}
 	
-	directiveInt(args) {
-		for (let i = 0; i < args.length; i++) {
-			let str = args[i].startsWith("#") ? args[i].slice(1) : args[i]
-			let num = Number(str)
+	matches(word) {
+		return ((word & this.mask) >>> 0) == this.match
+	}
+	
+	getField(word, name) {
+		let field = this.fields[name]
+		return field ? (word >>> field.shift) & ((1 << field.width) - 1) : 0
+	}
+	
+	encode(values) {
+		let word = this.match
+		
+		for (let name in values) {
+			let field = this.fields[name]
 			
-			if (!Number.isInteger(num)) {
-				throw new Error(`Unrecognized integer value ${str}`)
+			if (field) {
+				word |= (values[name] & ((1 << field.width) - 1)) << field.shift
 			}
-			
-			this.pushInt(num)
 		}
+		
+		return word >>> 0
 	}
+}
+
+class VMDisassembler {
+	static IRS_BIT = 0x08000000
 	
-	directiveFloat(args) {
-		for (let i = 0; i < args.length; i++) {
-			let str = args[i].startsWith("#") ? args[i].slice(1) : args[i]
-			let num = Number(str)
+	static OPS = Object.entries(VMAssembler.OPS)
+		.filter(([name]) => name != "ipush")
+		.map(([name, op]) => new VMDisassemblerOp(name, op))
+		.sort((a, b) => b.fixedBits - a.fixedBits)
+	
+	static REGISTER_NAMES = Object.fromEntries(Object.entries(VMRegisters.REGISTER_NAMES).map(([name, num]) => [num, name]))
+	
+	static getRegisterName(num) {
+		return "$" + (VMDisassembler.REGISTER_NAMES[num] ?? num)
+	}
+	
+	constructor(vm) {
+		this.vm = vm
+	}
+	
+	// returns null if the word isn't something the assembler would have produced
+	decode(word) {
+		word >>>= 0
+		
+		for (let i = 0; i < VMDisassembler.OPS.length; i++) {
+			let dop = VMDisassembler.OPS[i]
+			
+			if (!dop.matches(word)) {
+				continue
+			}
+			
+			let values = {}
+			
+			for (let j = 0; j < dop.op.args.length; j++) {
+				let name = dop.op.args[j].slice(1)
+				values[name] = dop.getField(word, name)
+			}
+			
+			let irs = dop.op.irs && (word & VMDisassembler.IRS_BIT) != 0
+			let expected = dop.encode(values)
 			
-			if (Number.isNaN(num)) {
-				throw new Error(`Unrecognized integer value ${str}`)
+			if (irs) {
+				expected = ((expected & ~(VMDisassembler.IRS_BIT | 0xFFFF)) | VMDisassembler.IRS_BIT | (word & 0xFFFF)) >>> 0
 			}
 			
-			this.pushFloat(num)
+			if (expected == word) {
+				return { name: dop.name, op: dop.op, dop, values, irs, imm: word & 0xFFFF }
+			}
 		}
+		
+		return null
 	}
 	
-	directivePtr(args) {
-		for (let i = 0; i < args.length; i++) {
-			let str = args[i].startsWith("#") ? args[i].slice(1) : args[i]
-			let num = Number(str)
+	formatInstruction(word, addr, relocations = {}) {
+		let instr = this.decode(word)
+		
+		if (!instr) {
+			return null
+		}
+		
+		let relocText = this.formatRelocation(relocations[addr])
+		
+		let args = instr.op.args.map((arg) => {
+			let value = instr.values[arg.slice(1)]
+			
+			if (arg[0] == "$") {
+				return VMDisassembler.getRegisterName(value)
+			}
 			
-			if (!Number.isInteger(num)) {
-				throw new Error(`Unrecognized integer value ${str}`)
+			// relocations in instructions only ever patch the low 16 bits
+			let field = instr.dop.fields[arg.slice(1)]
+			
+			if (!instr.irs && relocText && field.shift == 0 && field.width == 16) {
+				return relocText
+			}
+			
+			if (instr.op.isSigned(arg.slice(1))) {
+				value = (value << (32 - field.width)) >> (32 - field.width)
 			}
 			
-			this.pushInt(num)
+			return "#" + value
+		})
+		
+		let lines = [`${instr.name}${args.length ? " " + args.join(", ") : ""}`]
+		
+		if (instr.irs) {
+			lines.push(`ipush ${relocText ?? "#" + ((instr.imm << 16) >> 16)}`)
 		}
+		
+		return lines
 	}
 	
-	directiveUtf8(args) {
-		this.pushString(JSON.parse(args[0]))
+	formatRelocation(reloc) {
+		if (!reloc) {
+			return null
+		}
+		
+		if (reloc.type == "hi" || reloc.type == "lo") {
+			return `#%${reloc.type}(${reloc.describe()})`
+		}
+		
+		return reloc.expr ? "#" + reloc.describe() : reloc.describe()
 	}
-}
-
-class VMLinker {
-	constructor(vm) {
-		this.vm = vm
+	
+	formatData(word) {
+		let bytes = [word >>> 24, (word >>> 16) & 0xFF, (word >>> 8) & 0xFF, word & 0xFF]
+		let text = ""
+		
+		if (bytes.every((e) => e == 0 || e >= 0x20 && e < 0x7F)) {
+			text = " \"" + bytes.map((e) => e ? String.fromCharCode(e) : "\\0").join("") + "\""
+		}
+		
+		return [`.int 0x${word.toString(16).padStart(8, "0")}`, text]
 	}
 	
-	link(...objects) {
-		objects = objects.flat()
+	// the lines a word comes out as and a note on its contents, data isn't decoded as instructions
+	formatWord(word, addr, relocations = {}, data = false) {
+		if (relocations[addr]?.type == "word") {
+			return [[`.int ${this.formatRelocation(relocations[addr])}`], ""]
+		}
 		
-		let obj = this.vm.create(VMBytecodeObject)
+		let lines = data ? null : this.formatInstruction(word, addr, relocations)
 		
-		for (let i = 0; i < objects.length; i++) {
-			for (let label in objects[i].labels) {
-				obj.addLabel(label, objects[i].labels[label])
-			}
-			
-			for (let j = 0; j < objects[i].relocations.length; j++) {
-				let reloc = objects[i].relocations[j]
-				obj.addRelocation(reloc.rel, reloc.label, reloc.addr)
+		if (lines) {
+			return [lines, ""]
+		}
+		
+		let [line, note] = this.formatData(word)
+		return [[line], note]
+	}
+	
+	disassemble(obj, start = 0, end = obj.data.length, comments = true) {
+		let labels = {}
+		let relocations = {}
+		let sections = {}
+		let bss = obj.sections.bss ?? { start: 0, end: 0 }
+		
+		// section boundaries come out as directives, the linker adds their labels back
+		for (let section in obj.sections) {
+			if (obj.sections[section].start != obj.sections[section].end) {
+				sections[obj.sections[section].start] = section
 			}
+		}
+		
+		for (let label in obj.labels) {
+			let section = label.match(/^__(\w+)_(?:start|end)$/)?.[1]
 			
-			for (let j = 0; j < objects[i].data.length; j++) {
-				obj.pushInt(objects[i].data[j])
+			if (!(section in obj.sections)) {
+				(labels[obj.labels[label]] ??= []).push(label)
 			}
 		}
 		
 		for (let i = 0; i < obj.relocations.length; i++) {
-			let reloc = obj.relocations[i]
+			relocations[obj.relocations[i].addr] = obj.relocations[i]
+		}
+		
+		let out = []
+		
+		for (let addr = start; addr < end; addr++) {
+			let word = obj.data[addr] >>> 0
 			
-			let labelAddr = obj.labels[reloc.label]
+			if (addr in sections) {
+				out.push(`\t.${sections[addr]}`)
+			}
 			
-			if (labelAddr == undefined) {
-				throw new Error(`Couldn't find label "${obj.relocations[i].label}"`)
+			for (let label of labels[addr] ?? []) {
+				out.push(`${label}:`)
 			}
 			
-			if (reloc.rel) {
-				labelAddr -= reloc.addr
+			// .bss can only be reserved, so runs of it are written as one .zero
+			if (addr >= bss.start && addr < bss.end) {
+				let count = 1
+				
+				while (addr + count < Math.min(end, bss.end) && !(addr + count in labels)) {
+					count++
+				}
+				
+				out.push(`\t.zero ${count}` + (comments ? ` // ${addr.toString(16).padStart(8, "0")}` : ""))
+				addr += count - 1
+				continue
 			}
 			
-			obj.data[reloc.addr] &= ~0xFFFF
-			obj.data[reloc.addr] |= labelAddr & 0xFFFF
+			let [lines, note] = this.formatWord(word, addr, relocations)
+			
+			for (let i = 0; i < lines.length; i++) {
+				let comment = comments && i == 0 ? ` // ${addr.toString(16).padStart(8, "0")}: ${word.toString(16).padStart(8, "0")}${note}` : ""
+				out.push(`\t${lines[i]}${comment}`)
+			}
 		}
 		
-		return obj
+		for (let label of labels[end] ?? []) {
+			out.push(`${label}:`)
+		}
+		
+		return out.map((e) => e + "\n").join("")
+	}
+	
+	disassembleMemory(start, end, obj = null) {
+		let data = []
+		
+		for (let addr = start; addr < end; addr++) {
+			data[addr] = this.vm.memory.read(addr)
+		}
+		
+		let memoryObj = this.vm.create(VMBytecodeObject, data, obj?.labels ?? {}, obj?.relocations ?? [])
+		memoryObj.sections = obj?.sections ?? {}
+		
+		return this.disassemble(memoryObj, start, end)
 	}
 }
 
@@ -2032,6 +7178,35 @@ vm.setEnvironment("vmbind", new VMEnvFunction(2, (vm, obj1, obj2) => obj1.getVal
 
 globalThis["new"] = (cons, ...args) => new cons(...args)
 
+// VM code can only make the elements the demo needs, since a script element would run whatever gets appended to it
+vm.setEnvironment("createElement", (tag) => {
+	if (!["li", "div"].includes(tag)) {
+		throw new Error(`The demo can't create <${tag}> elements`)
+	}
+	
+	return document.createElement(tag)
+})
+
+// the demo only gets to use the form and the elements it builds
+vm.sandbox = vm.create(VMSandbox)
+vm.sandbox.allow("vmbind", "call")
+vm.sandbox.allow("String", "read")
+vm.sandbox.allow("new", "call")
+vm.sandbox.allow("new().length", "read")
+vm.sandbox.allow("setTimeout", "call")
+vm.sandbox.allow("document.getElementById", "call")
+vm.sandbox.allow("document.getElementById().value", "read", "write")
+vm.sandbox.allow("document.getElementById().addEventListener", "call")
+vm.sandbox.allow("document.getElementById().append", "call")
+vm.sandbox.allow("document.getElementById().replaceChildren", "call")
+vm.sandbox.allow("createElement", "call")
+vm.sandbox.allow("createElement().append", "call")
+vm.sandbox.allow("createElement().classList.add", "call")
+vm.sandbox.allow("createElement().remove", "read")
+vm.sandbox.allow("**.preventDefault", "call")
+vm.sandbox.deny("eval")
+vm.sandbox.deny("Function")
+
 let assembler = vm.create(VMAssembler)
 let linker = vm.create(VMLinker)
 
@@ -2073,137 +7248,156 @@ let code = `
 	DEFINE window [s8]
 	load [window], $IRSP
 	
-	DEFINE document [s7]
-	[LOADPI] [document] [window] "document"
-
-    DEFINE getElementById [s6]
-    [LOADPI_BIND] [getElementById] [document] "getElementById"
-
-    DEFINE createElement [s5]
-    [LOADPI_BIND] [createElement] [document] "createElement"
+    .extern getElementById = document.getElementById (str) -> ext
+    .extern createElement = createElement (str) -> ext
+    .extern new = new (ext, any...) -> ext
+    .extern setTimeout = setTimeout (ext, int) -> void
+    .extern preventDefault = this.preventDefault (ext) -> void
+    .extern replaceChildren = this.replaceChildren (ext, any...) -> void
+    .extern append = this.append (ext, any...) -> void
+    .extern addClass = this.add (ext, str) -> void
+    .extern addEventListener = this.addEventListener (ext, str, ext) -> void
 
     DEFINE name [s4]
-    cvt.ptr.i $PUSH, "name"
-    push.i #1
-    call.r [getElementById]
+    call.ext getElementById, "name"
     pop [name]
 
     DEFINE email [s3]
-    cvt.ptr.i $PUSH, "email"
-    push.i #1
-    call.r [getElementById]
+    call.ext getElementById, "email"
     pop [email]
 
     DEFINE msg [s2]
-    cvt.ptr.i $PUSH, "msg"
-    push.i #1
-    call.r [getElementById]
+    call.ext getElementById, "msg"
     pop [msg]
 
     DEFINE users [s1]
-    cvt.ptr.i $PUSH, "users"
-    push.i #1
-    call.r [getElementById]
+    call.ext getElementById, "users"
     pop [users]
 
-    DEFINE new [s0]
-    [LOADPI_BIND] [new] [window] "new"
+    DEFINE String [s0]
+    [LOADPI] [String] [window] "String"
 
-    [LOADPI_BIND] [t0] $POP "preventDefault"
-    push.r $ZERO
+    // the registers are still set up when the callback runs after the program exits
+    cvt.ptr.i $PUSH, "(ext) -> void"
+    push.i &submit
+    [LOADI] [t0] "callback"
     call.r [t0]
+    pop [t0]
 
-    [LOADPI_BIND] [t0] [msg] "replaceChildren"
-    push.r $ZERO
-    call.r [t0]
-    
-    [LOADPI] $PUSH [email] "value"
-    [LOADPI] $PUSH [window] "String"
-    push.i #2
-    call.r [new]
-    pop $PUSH
-    [GETPI] [t0] $PUSH "length"
-    c.not [t0]
-    bc.i ^error
+    call.ext getElementById, "my-form"
+    pop [t1]
+    call.ext addEventListener, [t1], "submit", [t0]
 
-    cvt.ptr.i $PUSH, " : "
+    exit.i #0
+
+submit:
+    pop [t0]
+    call.ext preventDefault, [t0]
+    call.ext replaceChildren, [msg]
 
-    [LOADPI] $PUSH [name] "value"
-    [LOADPI] $PUSH [window] "String"
-    push.i #2
-    call.r [new]
-    pop $PUSH
-    [GETPI] [t0] $PUSH "length"
+    [LOADPI] [t0] [email] "value"
+    call.ext new, [String], [t0]
+    pop [t2]
+    [GETPI] [t0] [t2] "length"
     c.not [t0]
     bc.i ^error
 
-    cvt.ptr.i $PUSH, "li"
-    push.i #1
-    call.r [createElement]
+    [LOADPI] [t0] [name] "value"
+    call.ext new, [String], [t0]
+    pop [t3]
+    [GETPI] [t0] [t3] "length"
+    c.not [t0]
+    bc.i ^error
 
+    call.ext createElement, "li"
     pop [t0]
-    [LOADPI_BIND] [t1] [t0] "append"
-    push.i #3
-    call.r [t1]
-
-    [LOADPI_BIND] [t1] [users] "append"
-    push.r [t0]
-    push.i #1
-    call.r [t1]
+    call.ext append, [t0], [t3], " : ", [t2]
+    call.ext append, [users], [t0]
 
     [SETPI] [name] "value" $IRSP
     [SETPI] [email] "value" $IRSP
 
-    exit.i #1
+    ret
 
 error:
-    cvt.ptr.i $PUSH, "div"
-    push.i #1
-    call.r [createElement]
-
+    call.ext createElement, "div"
     pop [t0]
-    [LOADPI_BIND] [t1] [t0] "append"
-    cvt.ptr.i $PUSH, "Please enter all fields"
-    push.i #1
-    call.r [t1]
-    
+    call.ext append, [t0], "Please enter all fields"
+
     [LOADPI] [t1] [t0] "classList"
-    [LOADPI_BIND] [t1] [t1] "add"
-    cvt.ptr.i $PUSH, "error"
-    push.i #1
-    call.r [t1]
+    call.ext addClass, [t1], "error"
 
-    [LOADPI_BIND] [t1] [msg] "append"
-    push.r [t0]
-    push.i #1
-    call.r [t1]
+    call.ext append, [msg], [t0]
 
     [LOADPI_BIND] [t0] [t0] "remove"
-    [LOADPI_BIND] [t1] [window] "setTimeout"
-    push.i #3000
-    push.r [t0]
-    push.i #2
-    call.r [t1]
+    call.ext setTimeout, [t0], #3000
 
-	exit.i #0
+    ret
 `
 
-let objects = assembler.assemble(code)
+let objects = assembler.assemble(code, { filename: "form.asm" })
 let executable = linker.link(objects)
 
-let form = document.getElementById("my-form")
+debug(vm.create(VMDisassembler).disassemble(executable))
 
-form.addEventListener("submit", (evt) => {
-    vm.loadProgram(executable.data)
-    vm.stackPush(vm.create(VMExt, evt))
+vm.cycleLimit = 1000000
 
-    let startTime = performance.now()
-    vm.run()
+function logRunStats(vm, startTime) {
     let timeTaken = performance.now() - startTime
     let execSpeed = vm.cycles * 1000 / timeTaken
 
+    if (vm.paused) {
+        console.log(`Paused at:`, vm.describeAddress(vm.registers.getPointer(VMRegisters.REG_PC)), `(${vm.pauseReason})`)
+
+        for (let addr of vm.getCallStack()) {
+            console.log(`    called from`, vm.describeAddress(addr - 1))
+        }
+    }
+
     console.log(`Exit value:`, vm.exitValue)
     console.log(`Inst count:`, vm.cycles)
     console.log(`Time taken:`, timeTaken.toFixed(3) + "ms")
     console.log(`Exec speed:`, execSpeed.toFixed(3) + "Hz")
-})
\ No newline at end of file
+}
+
+// the program only sets up the submit listener, which calls back into it
+vm.loadProgram(executable.data, executable.labels, executable.sourceMap)
+vm.run()
+
+// counts to 200000 through a subroutine call, for checking the interpreter speed with runBenchmark() from the console
+// (runBenchmark(true) runs it through the block compiler instead)
+let benchmarkCode = `
+	cvt.int.i $3, #1
+	cvt.int.i $4, #0
+	cvt.int.i $5, #1000
+	cvt.int.i $6, #200
+	mult $5, $5, $6
+
+loop:
+	add $4, $4, $3
+	push.r $4
+	call.i &work
+	c.lt.r $COMP, $4, $5
+	bc.i ^loop
+	exit.r $4
+
+work:
+	pop $7
+	xor $8, $7, $3
+	ret
+`
+
+let benchmark = null
+
+function runBenchmark(compiled = false) {
+    // only assembled the first time it's run, so page loads don't pay for it
+    benchmark ??= linker.link(assembler.assemble(benchmarkCode, { filename: "benchmark.asm" }))
+
+    let benchVm = new VM()
+    benchVm.compilerEnabled = compiled
+    benchVm.loadProgram(benchmark.data, benchmark.labels, benchmark.sourceMap)
+
+    let startTime = performance.now()
+    benchVm.run()
+    logRunStats(benchVm, startTime)
+}
\ No newline at end of file
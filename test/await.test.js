@@ -0,0 +1,168 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { loadMain } = require("./load.js")
+
+const { VM, VMAwait, VMAssembler, VMLinker } = loadMain()
+
+// await and awaitSettled take the promise and the name of the type to marshal its result to
+const PRELUDE = `
+	.extern wait = wait (int) -> ext
+	.extern fail = fail (str) -> ext
+	.extern out = out (any...) -> void
+	.macro await func, type
+		pop $14
+		cvt.ptr.i $PUSH, \\type
+		push.r $14
+		cvt.ptr.i $PUSH, \\func
+		load $PUSH, $POP
+		call.r $POP
+	.endm
+`
+
+// the program's externs log to out, and wait resolves to twice its argument after that many milliseconds
+function load(code) {
+	let vm = new VM()
+	let assembler = vm.create(VMAssembler)
+	let executable = vm.create(VMLinker).link(assembler.assemble(PRELUDE + code, { filename: "test.asm" }))
+	
+	vm.log = []
+	vm.setEnvironment("wait", (ms) => new Promise((resolve) => setTimeout(() => resolve(ms * 2), ms)))
+	vm.setEnvironment("fail", (message) => Promise.reject(new Error(message)))
+	vm.setEnvironment("out", (...values) => vm.log.push(values.join(" ")))
+	vm.loadProgram(executable.data, executable.labels, executable.sourceMap)
+	
+	return vm
+}
+
+test("await resumes with a locally resolved promise's value", async () => {
+	let vm = load(`
+	.extern ready = ready () -> ext
+	call.ext ready
+	await "await", "str"
+	pop $5
+	call.ext out, $5
+	exit.i #1
+`)
+	let resolve
+	vm.setEnvironment("ready", () => new Promise((r) => resolve = r))
+	
+	let result = vm.run()
+	assert.ok(result instanceof VMAwait)
+	assert.strictEqual(vm.pauseReason, "await")
+	assert.strictEqual(vm.continue(), result, "continuing before the promise settles keeps waiting")
+	
+	resolve("done")
+	await result.promise
+	
+	assert.strictEqual(vm.continue(), 1)
+	assert.ok(vm.stopped)
+	assert.deepStrictEqual(vm.log, ["done"])
+})
+
+test("awaiting something that isn't a promise gives it back right away", () => {
+	let vm = load(`
+	cvt.int.i $PUSH, #7
+	await "await", "int"
+	exit.r $POP
+`)
+	assert.strictEqual(vm.run().getValue(), 7)
+})
+
+test("await waits on fake timers", async (t) => {
+	t.mock.timers.enable({ apis: ["setTimeout"] })
+	
+	let vm = load(`
+	call.ext wait, #10
+	await "await", "int"
+	pop $5
+	call.ext out, $5
+	call.ext wait, #5
+	await "await", "int"
+	exit.r $POP
+`)
+	let result = vm.run()
+	t.mock.timers.tick(9)
+	await null
+	assert.strictEqual(result.settled, false)
+	
+	t.mock.timers.tick(1)
+	await result.promise
+	result = vm.continue()
+	assert.ok(result instanceof VMAwait)
+	assert.deepStrictEqual(vm.log, ["20"])
+	
+	t.mock.timers.tick(5)
+	await result.promise
+	assert.strictEqual(vm.continue().getValue(), 10)
+})
+
+test("runAsync waits for awaits by itself", async (t) => {
+	t.mock.timers.enable({ apis: ["setTimeout"] })
+	
+	let vm = load(`
+	call.ext wait, #3
+	await "await", "int"
+	exit.r $POP
+`)
+	let done = vm.runAsync()
+	await null
+	assert.ok(vm.awaiting)
+	
+	t.mock.timers.tick(3)
+	assert.strictEqual((await done).getValue(), 6)
+})
+
+test("a rejected await traps at the call, and the handler returns past it", async () => {
+	let vm = load(`
+	trap.i #4, &handler
+	call.ext fail, "boom"
+	await "await", "any"
+	call.ext out, "after"
+	exit.i #0
+handler:
+	call.ext out, $P1
+	ret
+`)
+	await vm.run().promise
+	
+	assert.strictEqual(vm.continue(), 0)
+	assert.deepStrictEqual(vm.log, ["Awaited promise was rejected: boom", "after"])
+})
+
+test("a rejected await without a handler stops the program", async () => {
+	let vm = load(`
+	call.ext fail, "boom"
+	await "await", "any"
+	exit.i #0
+`)
+	await vm.run().promise
+	
+	assert.throws(() => vm.continue(), /Awaited promise was rejected: boom/)
+	assert.ok(vm.stopped)
+})
+
+test("awaitSettled pushes the rejection reason and clears $COMP", async () => {
+	let vm = load(`
+	call.ext fail, "nope"
+	await "awaitSettled", "any"
+	pop $5
+	cvt.int.i $6, #0
+	add $6, $6, $COMP
+	call.ext out, $6
+	call.ext wait, #0
+	await "awaitSettled", "int"
+	pop $7
+	cvt.int.i $6, #0
+	add $6, $6, $COMP
+	call.ext out, $6, $7
+	exit.i #0
+`)
+	await vm.run().promise
+	assert.ok(vm.continue() instanceof VMAwait)
+	assert.strictEqual(vm.registers.get(5).getValue().message, "nope")
+	assert.deepStrictEqual(vm.log, ["0"])
+	
+	await vm.awaiting.promise
+	vm.continue()
+	assert.deepStrictEqual(vm.log, ["0", "1 0"])
+})
@@ -0,0 +1,76 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { loadMain } = require("./load.js")
+
+const { VM, VMAssembler, VMLinker, VMDisassembler } = loadMain()
+
+let vm = new VM()
+let assembler = vm.create(VMAssembler)
+let linker = vm.create(VMLinker)
+
+// disassembling a linked program and assembling the text again has to give back the same words
+function assertRoundTrip(executable) {
+	let text = vm.create(VMDisassembler).disassemble(executable)
+	let again = linker.link(assembler.assemble(text, { filename: "disassembled.asm" }))
+	
+	assert.deepStrictEqual(again.data, executable.data, text)
+}
+
+test("a program round trips through the disassembler", () => {
+	let executable = linker.link(assembler.assemble(`
+	.equ SIZE, 4*2+1
+	.macro twice r
+		add \\r, \\r, \\r
+	.endm
+start:
+	push.i #SIZE
+	push.i &table+4
+	push.i ^table
+	push.r $3
+	ipush #&end-&start
+	twice $3
+	cvt.ptr.i $4, "hi"
+	lf $5, 1.5
+	la $6, counter
+	la $7, buf
+	exit.i #0
+table:
+	.int 1, SIZE, &table + 2, &end-&start, "str"
+	.float 1.5, -2, #3
+end:
+	.data
+counter:
+	.word 1, 2, 3
+	.align 4
+	.fill 3, &counter + 1
+	.rodata
+	.int "hi", "yo"
+	.bss
+	.align 8
+buf:
+	.zero 10
+`, { filename: "program.asm" }))
+	
+	assertRoundTrip(executable)
+})
+
+test("local labels that clash across files round trip", () => {
+	let main = assembler.assemble(`
+	.global main
+main:
+	call.i &helper
+	exit.i #0
+helper:
+	ret
+`, { filename: "main.asm" })
+	let other = assembler.assemble(`
+	.global other
+other:
+	call.i &helper
+	ret
+helper:
+	ret
+`, { filename: "lib/other-2.asm" })
+	
+	assertRoundTrip(linker.link(main, other))
+})
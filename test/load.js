@@ -0,0 +1,39 @@
+// runs main.js the way the page does, with just enough of a DOM for the demo at the bottom of it
+// top-level classes in a script don't end up on the global object, so the ones the tests need are returned instead
+// run the tests with: node --test test/*.test.js
+const fs = require("node:fs")
+const path = require("node:path")
+const nodeVm = require("node:vm")
+
+const CLASSES = ["VM", "VMAwait", "VMAssembler", "VMLinker", "VMDisassembler", "VMError", "VMRegisters"]
+
+function element() {
+	return {
+		value: "",
+		classList: { add() {} },
+		append() {},
+		replaceChildren() {},
+		remove() {},
+		addEventListener() {}
+	}
+}
+
+function loadMain() {
+	let context = nodeVm.createContext({
+		console, performance, TextEncoder, TextDecoder, btoa, atob,
+		
+		// looked up on every call, so the fake timers of node:test reach VM code too
+		setTimeout: (...args) => setTimeout(...args),
+		clearTimeout: (...args) => clearTimeout(...args),
+		setInterval: (...args) => setInterval(...args),
+		clearInterval: (...args) => clearInterval(...args)
+	})
+	
+	context.window = context
+	context.document = { getElementById: element, createElement: element, cookie: "" }
+	
+	let source = fs.readFileSync(path.join(__dirname, "..", "main.js"), "utf8")
+	return nodeVm.runInContext(`${source}\n;({ ${CLASSES.join(", ")} })`, context, { filename: "main.js" })
+}
+
+module.exports = { loadMain }